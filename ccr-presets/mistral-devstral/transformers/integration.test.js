@@ -3,14 +3,49 @@
 
 import MistralTransformer from './mistral.transformer.js';
 import { describe, it, beforeEach, afterEach } from 'node:test';
+import { createRequire } from 'node:module';
 import assert from 'node:assert';
 
+const require = createRequire(import.meta.url);
+
 // Mock provider configuration
 const mockProvider = {
   name: 'mistral',
   models: ['devstral-latest', 'mistral-large-latest', 'mistral-medium-latest']
 };
 
+// Build a Fetch Response carrying a JSON body
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Build a Fetch Response whose event-stream body arrives in the given network reads
+function sseResponse(parts) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      parts.forEach(part => controller.enqueue(encoder.encode(part)));
+      controller.close();
+    }
+  });
+
+  return new Response(body, {
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+// Parse SSE text into the JSON payloads of its data lines
+function parseSSE(text) {
+  return text
+    .split('\n')
+    .filter(line => line.startsWith('data: '))
+    .map(line => line.slice(6))
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
 describe('Mistral Transformer Integration Tests', () => {
   let transformer;
 
@@ -28,7 +63,7 @@ describe('Mistral Transformer Integration Tests', () => {
   });
 
   describe('Basic Text Completion', () => {
-    it('should transform simple chat completion request', () => {
+    it('should transform simple chat completion request', async () => {
       const request = {
         model: 'devstral-latest',
         messages: [
@@ -38,10 +73,10 @@ describe('Mistral Transformer Integration Tests', () => {
         temperature: 0.8
       };
 
-      const result = transformer.transformRequestIn(request, mockProvider, {});
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
 
       assert.ok(result, 'Request transformation should succeed');
-      assert.strictEqual(result.model, 'unknown');
+      assert.strictEqual(result.model, 'devstral-latest');
       assert.strictEqual(result.messages.length, 1);
       assert.strictEqual(result.messages[0].role, 'user');
       assert.strictEqual(result.messages[0].content, 'Hello, world!');
@@ -49,7 +84,7 @@ describe('Mistral Transformer Integration Tests', () => {
       assert.strictEqual(result.temperature, 0.8);
     });
 
-    it('should transform chat completion response', () => {
+    it('should transform chat completion response', async () => {
       const response = {
         id: 'chatcmpl-123',
         object: 'chat.completion',
@@ -72,162 +107,1867 @@ describe('Mistral Transformer Integration Tests', () => {
         }
       };
 
-      const result = transformer.transformResponseIn(response, {});
+      const result = await transformer.transformResponseIn(response, {});
+
+      assert.ok(result, 'Response transformation should succeed');
+      assert.strictEqual(result.id, 'chatcmpl-123');
+      assert.strictEqual(result.model, 'devstral-latest');
+      assert.strictEqual(result.choices.length, 1);
+      assert.strictEqual(result.choices[0].message.role, 'assistant');
+      assert.strictEqual(result.choices[0].message.content, 'Hello! How can I help you today?');
+      assert.strictEqual(result.choices[0].finish_reason, 'stop');
+    });
+
+    it('should handle multi-message conversations', async () => {
+      const request = {
+        model: 'mistral-large-latest',
+        messages: [
+          { role: 'system', content: 'You are a helpful assistant.' },
+          { role: 'user', content: 'Hello!' },
+          { role: 'assistant', content: 'Hi there! How can I help?' },
+          { role: 'user', content: 'What is the capital of France?' }
+        ]
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.strictEqual(result.messages.length, 4);
+      assert.strictEqual(result.messages[0].role, 'system');
+      assert.strictEqual(result.messages[1].role, 'user');
+      assert.strictEqual(result.messages[2].role, 'assistant');
+      assert.strictEqual(result.messages[3].role, 'user');
+    });
+  });
+
+  describe('Tool Calling Functionality', () => {
+    it('should transform request with tools', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [
+          { role: 'user', content: 'What\'s the weather like in Paris?' }
+        ],
+        tools: [
+          {
+            type: 'function',
+            function: {
+              name: 'get_weather',
+              description: 'Get the current weather in a location',
+              parameters: {
+                type: 'object',
+                properties: {
+                  location: {
+                    type: 'string',
+                    description: 'The city and country'
+                  }
+                },
+                required: ['location']
+              }
+            }
+          }
+        ]
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.ok(result.tools, 'Tools should be present');
+      assert.strictEqual(result.tools.length, 1);
+      assert.strictEqual(result.tools[0].type, 'function');
+      assert.strictEqual(result.tools[0].function.name, 'get_weather');
+    });
+
+    it('should transform response with tool calls', async () => {
+      const response = {
+        id: 'chatcmpl-tool-123',
+        object: 'chat.completion',
+        model: 'devstral-latest',
+        choices: [
+          {
+            index: 0,
+            message: {
+              role: 'assistant',
+              content: '',
+              tool_calls: [
+                {
+                  id: 'call_123',
+                  type: 'function',
+                  function: {
+                    name: 'get_weather',
+                    arguments: '{"location":"Paris, France"}'
+                  }
+                }
+              ]
+            },
+            finish_reason: 'tool_calls'
+          }
+        ],
+        usage: {
+          prompt_tokens: 25,
+          completion_tokens: 30,
+          total_tokens: 55
+        }
+      };
+
+      const result = await transformer.transformResponseIn(response, {});
+
+      assert.ok(result.choices[0].message.tool_calls);
+      assert.strictEqual(result.choices[0].message.tool_calls.length, 1);
+      assert.strictEqual(result.choices[0].message.tool_calls[0].function.name, 'get_weather');
+      assert.strictEqual(result.choices[0].finish_reason, 'tool_calls');
+    });
+
+    it('should transform tool calling conversation flow', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [
+          { role: 'user', content: 'What\'s the weather like in Paris?' },
+          {
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+              {
+                id: 'call_123',
+                function: {
+                  name: 'get_weather',
+                  arguments: JSON.stringify({ location: 'Paris, France' })
+                }
+              }
+            ]
+          },
+          {
+            role: 'tool',
+            tool_call_id: 'call_123',
+            content: 'Sunny, 22°C'
+          }
+        ]
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.strictEqual(result.messages.length, 3);
+      assert.strictEqual(result.messages[1].role, 'assistant');
+      assert.strictEqual(result.messages[2].role, 'tool');
+    });
+  });
+
+  describe('Vision Support', () => {
+    const pngBlock = {
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' }
+    };
+
+    it('should convert base64 and URL image blocks for vision models', async () => {
+      const request = {
+        model: 'mistral-large-latest',
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Compare these images' },
+            pngBlock,
+            { type: 'image', source: { type: 'url', url: 'https://example.com/cat.jpg' } }
+          ]
+        }]
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.deepStrictEqual(result.messages[0].content, [
+        { type: 'text', text: 'Compare these images' },
+        { type: 'image_url', image_url: 'data:image/png;base64,iVBORw0KGgo=' },
+        { type: 'image_url', image_url: 'https://example.com/cat.jpg' }
+      ]);
+    });
+
+    it('should accept unified image_url blocks', async () => {
+      const request = {
+        model: 'pixtral-large-latest',
+        messages: [{
+          role: 'user',
+          content: [{ type: 'image_url', image_url: { url: 'https://example.com/dog.png' } }]
+        }]
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+      assert.strictEqual(result.messages[0].content[0].image_url, 'https://example.com/dog.png');
+    });
+
+    it('should replace images with a placeholder for text-only models', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, pngBlock] }]
+      };
+
+      const flattening = new MistralTransformer({ modelContentFormats: { 'devstral': 'string' } });
+      const flattened = await flattening.transformRequestIn(request, mockProvider, {});
+
+      assert.strictEqual(typeof flattened.messages[0].content, 'string');
+      assert.match(flattened.messages[0].content, /What is this\?\n\[Image omitted: devstral-latest/);
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.deepStrictEqual(result.messages[0].content, [
+        { type: 'text', text: 'What is this?' },
+        { type: 'text', text: '[Image omitted: devstral-latest does not support image input]' }
+      ]);
+    });
+
+    it('should enforce the per-request image count', async () => {
+      const request = {
+        model: 'mistral-large-latest',
+        messages: [{ role: 'user', content: Array.from({ length: 9 }, () => pngBlock) }]
+      };
+
+      await assert.rejects(
+        () => transformer.transformRequestIn(request, mockProvider, {}),
+        /at most 8 images per request/
+      );
+    });
+
+    it('should enforce the per-image size limit and media types', async () => {
+      const small = new MistralTransformer({ maxImageBytes: 4 });
+      const request = {
+        model: 'mistral-large-latest',
+        messages: [{ role: 'user', content: [pngBlock] }]
+      };
+
+      await assert.rejects(
+        () => small.transformRequestIn(request, mockProvider, {}),
+        /Validation Error: .*MB per image/
+      );
+
+      const tiff = { type: 'image', source: { type: 'base64', media_type: 'image/tiff', data: 'AAAA' } };
+      await assert.rejects(
+        () => transformer.transformRequestIn({ ...request, messages: [{ role: 'user', content: [tiff] }] }, mockProvider, {}),
+        /unsupported media type image\/tiff/
+      );
+    });
+  });
+
+  describe('Structured Content', () => {
+    const content = [
+      { type: 'text', text: 'First block' },
+      { type: 'text', text: '   ' },
+      { type: 'text', text: 'Second block\n' }
+    ];
+
+    it('should flatten content arrays to strings for models without chunk support', async () => {
+      const result = await transformer.transformRequestIn({
+        model: 'codestral-latest',
+        messages: [{ role: 'user', content }]
+      }, mockProvider, {});
+
+      assert.strictEqual(result.messages[0].content, 'First block\nSecond block\n');
+    });
+
+    it('should send content arrays as native Mistral content chunks to chunk-capable models', async () => {
+      const result = await transformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [{ role: 'user', content }]
+      }, mockProvider, {});
+
+      assert.deepStrictEqual(result.messages[0].content, [
+        { type: 'text', text: 'First block' },
+        { type: 'text', text: '   ' },
+        { type: 'text', text: 'Second block\n' }
+      ]);
+    });
+
+    it('should keep plain string content as a string', async () => {
+      const result = await transformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [{ role: 'user', content: 'Plain text' }]
+      }, mockProvider, {});
+
+      assert.strictEqual(result.messages[0].content, 'Plain text');
+    });
+
+    it('should resolve per-model content formats by longest prefix', async () => {
+      const configured = new MistralTransformer({
+        contentFormat: 'array',
+        modelContentFormats: { 'devstral': 'string', 'devstral-medium': 'array' }
+      });
+
+      const flattened = await configured.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [{ role: 'user', content }]
+      }, mockProvider, {});
+      assert.strictEqual(flattened.messages[0].content, 'First block\nSecond block\n');
+
+      const chunked = await configured.transformRequestIn({
+        model: 'devstral-medium-latest',
+        messages: [{ role: 'user', content }]
+      }, mockProvider, {});
+      assert.strictEqual(chunked.messages[0].content.length, 3);
+
+      const fallback = await configured.transformRequestIn({
+        model: 'codestral-latest',
+        messages: [{ role: 'user', content }]
+      }, mockProvider, {});
+      assert.strictEqual(fallback.messages[0].content.length, 3);
+    });
+
+    it('should send content chunks to every preset model by default', async () => {
+      for (const model of ['devstral-latest', 'mistral-large-latest', 'magistral-medium-latest']) {
+        const result = await transformer.transformRequestIn({
+          model,
+          messages: [{ role: 'user', content }]
+        }, mockProvider, {});
+
+        assert.ok(Array.isArray(result.messages[0].content), model);
+      }
+    });
+  });
+
+  describe('Reasoning Support', () => {
+    it('should map enabled reasoning to Magistral reasoning mode', async () => {
+      const request = {
+        model: 'magistral-medium-latest',
+        messages: [{ role: 'user', content: 'Prove it' }],
+        reasoning: { effort: 'high', max_tokens: 2048, enabled: true }
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+      assert.strictEqual(result.prompt_mode, 'reasoning');
+    });
+
+    it('should disable reasoning mode and ignore reasoning for other models', async () => {
+      const disabled = await transformer.transformRequestIn({
+        model: 'magistral-small-latest',
+        messages: [{ role: 'user', content: 'Quick answer' }],
+        reasoning: { effort: 'none' }
+      }, mockProvider, {});
+      assert.strictEqual(disabled.prompt_mode, null);
+
+      const devstral = await transformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [{ role: 'user', content: 'Quick answer' }],
+        reasoning: { effort: 'high' }
+      }, mockProvider, {});
+      assert.ok(!('prompt_mode' in devstral));
+    });
+
+    it('should surface thinking chunks in non-streaming responses', async () => {
+      const response = {
+        id: 'chatcmpl-think',
+        model: 'magistral-medium-latest',
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: [
+              { type: 'thinking', thinking: [{ type: 'text', text: 'Let me check.' }] },
+              { type: 'text', text: 'The answer is 4.' }
+            ]
+          },
+          finish_reason: 'stop'
+        }]
+      };
+
+      const result = await transformer.transformResponseIn(response, {});
+
+      assert.strictEqual(result.choices[0].message.content, 'The answer is 4.');
+      assert.deepStrictEqual(result.choices[0].message.thinking, { content: 'Let me check.' });
+    });
+
+    it('should surface thinking chunks in streaming responses', async () => {
+      const response = sseResponse([
+        'data: {"id":"chatcmpl-t","choices":[{"index":0,"delta":{"content":[{"type":"thinking","thinking":[{"type":"text","text":"Hmm"}]}]},"finish_reason":null}]}\n\n',
+        'data: {"id":"chatcmpl-t","choices":[{"index":0,"delta":{"content":"Done"},"finish_reason":"stop"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+
+      assert.deepStrictEqual(events[0].choices[0].delta, { role: 'assistant', thinking: { content: 'Hmm' } });
+      assert.strictEqual(events[1].choices[0].delta.content, 'Done');
+    });
+
+    it('should keep whitespace-only text chunks verbatim in streamed deltas', async () => {
+      const response = sseResponse([
+        'data: {"id":"chatcmpl-w","choices":[{"index":0,"delta":{"content":[{"type":"text","text":"Hello"}]},"finish_reason":null}]}\n\n',
+        'data: {"id":"chatcmpl-w","choices":[{"index":0,"delta":{"content":[{"type":"text","text":" "}]},"finish_reason":null}]}\n\n',
+        'data: {"id":"chatcmpl-w","choices":[{"index":0,"delta":{"content":[{"type":"text","text":"world"},{"type":"text","text":"!"}]},"finish_reason":"stop"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+      const text = events.map(event => event.choices?.[0]?.delta?.content || '').join('');
+
+      assert.strictEqual(text, 'Hello world!');
+    });
+
+    it('should replay prior thinking only to reasoning models', async () => {
+      const messages = [
+        { role: 'user', content: 'What is 2+2?' },
+        { role: 'assistant', content: '4', thinking: { content: 'Simple sum.', signature: 'sig' } },
+        { role: 'user', content: 'And 3+3?' }
+      ];
+
+      const magistral = await transformer.transformRequestIn({ model: 'magistral-medium-latest', messages }, mockProvider, {});
+      assert.deepStrictEqual(magistral.messages[1].content, [
+        { type: 'thinking', thinking: [{ type: 'text', text: 'Simple sum.' }] },
+        { type: 'text', text: '4' }
+      ]);
+
+      const devstral = await transformer.transformRequestIn({ model: 'devstral-latest', messages }, mockProvider, {});
+      assert.strictEqual(devstral.messages[1].content, '4');
+    });
+  });
+
+  describe('Anthropic Tool Blocks', () => {
+    it('should convert tool_use and tool_result blocks into tool calls and tool messages', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [
+          { role: 'user', content: 'Read both files' },
+          {
+            role: 'assistant',
+            content: [
+              { type: 'text', text: 'Reading them now.' },
+              { type: 'tool_use', id: 'toolu_01', name: 'Read', input: { file_path: 'a.txt' } },
+              { type: 'tool_use', id: 'toolu_02', name: 'Read', input: { file_path: 'b.txt' } }
+            ]
+          },
+          {
+            role: 'user',
+            content: [
+              { type: 'tool_result', tool_use_id: 'toolu_01', content: 'contents of a' },
+              {
+                type: 'tool_result',
+                tool_use_id: 'toolu_02',
+                is_error: true,
+                content: [{ type: 'text', text: 'File not found' }, { type: 'text', text: 'b.txt' }]
+              },
+              { type: 'text', text: 'Now summarize.' }
+            ]
+          }
+        ]
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+      const [, assistant, firstTool, secondTool, bridge, user] = result.messages;
+
+      assert.strictEqual(result.messages.length, 6);
+      assert.deepStrictEqual(assistant.content, [{ type: 'text', text: 'Reading them now.' }]);
+      assert.deepStrictEqual(assistant.tool_calls.map(call => call.function.name), ['Read', 'Read']);
+      assert.strictEqual(assistant.tool_calls[0].function.arguments, '{"file_path":"a.txt"}');
+
+      assert.strictEqual(firstTool.role, 'tool');
+      assert.strictEqual(firstTool.tool_call_id, assistant.tool_calls[0].id);
+      assert.strictEqual(firstTool.name, 'Read');
+      assert.strictEqual(firstTool.content, 'contents of a');
+
+      assert.strictEqual(secondTool.tool_call_id, assistant.tool_calls[1].id);
+      assert.strictEqual(secondTool.content, 'Error: File not found\nb.txt');
+
+      assert.strictEqual(bridge.role, 'assistant');
+      assert.strictEqual(user.role, 'user');
+      assert.deepStrictEqual(user.content, [{ type: 'text', text: 'Now summarize.' }]);
+    });
+
+    it('should serialize structured tool_result content', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [
+          { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_03', name: 'Stat', input: {} }] },
+          { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_03', content: { size: 42 } }] }
+        ]
+      };
+
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.strictEqual(result.messages[0].content, '');
+      assert.strictEqual(result.messages[1].content, '{"size":42}');
+    });
+  });
+
+  describe('Tool Call ID Mapping', () => {
+    it('should map tool call IDs to consistent 9-character alphanumeric IDs', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [
+          { role: 'user', content: 'List files' },
+          {
+            role: 'assistant',
+            content: [{ type: 'tool_use', id: 'toolu_01ABCdef-xyz', name: 'LS', input: {} }]
+          },
+          { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_01ABCdef-xyz', content: 'a.txt' }] }
+        ]
+      };
+
+      const first = await transformer.transformRequestIn(request, mockProvider, {});
+      const second = await transformer.transformRequestIn(request, mockProvider, {});
+      const mappedId = first.messages[1].tool_calls[0].id;
+
+      assert.match(mappedId, /^[a-zA-Z0-9]{9}$/);
+      assert.strictEqual(first.messages[2].tool_call_id, mappedId);
+      assert.strictEqual(second.messages[1].tool_calls[0].id, mappedId);
+    });
+
+    it('should keep compliant IDs and assign stable IDs to missing ones', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [
+          {
+            role: 'assistant',
+            content: '',
+            tool_calls: [
+              { id: 'abc123XYZ', type: 'function', function: { name: 'first', arguments: '{}' } },
+              { type: 'function', function: { name: 'second', arguments: '{}' } }
+            ]
+          }
+        ]
+      };
+
+      const first = await transformer.transformRequestIn(request, mockProvider, {});
+      const second = await transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.strictEqual(first.messages[0].tool_calls[0].id, 'abc123XYZ');
+      assert.match(first.messages[0].tool_calls[1].id, /^[a-zA-Z0-9]{9}$/);
+      assert.strictEqual(second.messages[0].tool_calls[1].id, first.messages[0].tool_calls[1].id);
+    });
+
+    it('should map Mistral IDs back to the original IDs in responses', async () => {
+      const request = {
+        model: 'devstral-latest',
+        messages: [
+          { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_roundtrip', name: 'Read', input: {} }] },
+          { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_roundtrip', content: 'ok' }] }
+        ]
+      };
+
+      const transformed = await transformer.transformRequestIn(request, mockProvider, {});
+      const mappedId = transformed.messages[0].tool_calls[0].id;
+
+      const response = await transformer.transformResponseIn({
+        id: 'resp-1',
+        model: 'devstral-latest',
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: '',
+            tool_calls: [
+              { id: mappedId, type: 'function', function: { name: 'Read', arguments: '{}' } },
+              { id: 'NewCall01', type: 'function', function: { name: 'Read', arguments: '{}' } }
+            ]
+          },
+          finish_reason: 'tool_calls'
+        }]
+      }, {});
+
+      const toolCalls = response.choices[0].message.tool_calls;
+      assert.strictEqual(toolCalls[0].id, 'toolu_roundtrip');
+      assert.strictEqual(toolCalls[1].id, 'NewCall01');
+    });
+  });
+
+  describe('Tool Schema Sanitization', () => {
+    const toolRequest = (parameters) => ({
+      model: 'devstral-latest',
+      messages: [{ role: 'user', content: 'Run the tool' }],
+      tools: [{ type: 'function', function: { name: 'run', description: 'Run it', parameters } }]
+    });
+
+    it('should keep nested schemas and supported keywords', async () => {
+      const parameters = {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: ['fast', 'slow'], description: 'Run mode' },
+          files: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: { path: { type: 'string' }, line: { type: 'integer', minimum: 1 } },
+              required: ['path'],
+              additionalProperties: false
+            }
+          },
+          target: { anyOf: [{ type: 'string' }, { type: 'number' }] }
+        },
+        required: ['mode']
+      };
+
+      const result = await transformer.transformRequestIn(toolRequest(parameters), mockProvider, {});
+
+      assert.deepStrictEqual(result.tools[0].function.parameters, parameters);
+    });
+
+    it('should rewrite or remove unsupported keywords at any depth', async () => {
+      const result = await transformer.transformRequestIn(toolRequest({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        definitions: {
+          Point: { type: 'object', properties: { x: { type: 'number' } }, $comment: 'internal' }
+        },
+        properties: {
+          origin: { $ref: '#/definitions/Point' },
+          url: { type: 'string', format: 'uri-reference' },
+          when: { type: 'string', format: 'date-time' },
+          kind: { const: 'shape' },
+          label: { type: ['string', 'null'] },
+          missing: { $ref: '#/definitions/Unknown', description: 'Unknown ref' }
+        },
+        required: []
+      }), mockProvider, {});
+
+      assert.deepStrictEqual(result.tools[0].function.parameters, {
+        type: 'object',
+        properties: {
+          origin: { type: 'object', properties: { x: { type: 'number' } } },
+          url: { type: 'string' },
+          when: { type: 'string', format: 'date-time' },
+          kind: { enum: ['shape'] },
+          label: { anyOf: [{ type: 'string' }, { type: 'null' }] },
+          missing: { description: 'Unknown ref' }
+        }
+      });
+    });
+
+    it('should replace recursive references and log the changes at debug level', async () => {
+      const messages = [];
+      const debugTransformer = new MistralTransformer({}, {
+        debug: (message, metadata) => messages.push({ message, metadata }),
+        info: () => {},
+        warn: () => {},
+        error: () => {}
+      });
+
+      const result = await debugTransformer.transformRequestIn(toolRequest({
+        type: 'object',
+        $defs: {
+          Node: { type: 'object', properties: { children: { type: 'array', items: { $ref: '#/$defs/Node' } } } }
+        },
+        properties: { tree: { $ref: '#/$defs/Node' } }
+      }), mockProvider, {});
+
+      assert.deepStrictEqual(result.tools[0].function.parameters.properties.tree, {
+        type: 'object',
+        properties: { children: { type: 'array', items: {} } }
+      });
+
+      const log = messages.find(entry => entry.message === 'Sanitized tool parameter schema');
+      assert.ok(log);
+      assert.strictEqual(log.metadata.tool, 'run');
+      assert.ok(log.metadata.changes.some(change => change.includes('recursive $ref "#/$defs/Node"')));
+    });
+  });
+
+  describe('Tool Choice', () => {
+    const toolRequest = (toolChoice, extra = {}) => ({
+      model: 'devstral-latest',
+      messages: [{ role: 'user', content: 'Read the file' }],
+      tools: [{ type: 'function', function: { name: 'Read', parameters: { type: 'object', properties: {} } } }],
+      tool_choice: toolChoice,
+      ...extra
+    });
+
+    it('should map Anthropic tool_choice forms to Mistral forms', async () => {
+      const any = await transformer.transformRequestIn(toolRequest({ type: 'any' }), mockProvider, {});
+      const auto = await transformer.transformRequestIn(toolRequest({ type: 'auto' }), mockProvider, {});
+      const named = await transformer.transformRequestIn(toolRequest({ type: 'tool', name: 'Read' }), mockProvider, {});
+
+      assert.strictEqual(any.tool_choice, 'any');
+      assert.strictEqual(auto.tool_choice, 'auto');
+      assert.deepStrictEqual(named.tool_choice, { type: 'function', function: { name: 'Read' } });
+    });
+
+    it('should keep Mistral and OpenAI tool_choice forms', async () => {
+      const required = await transformer.transformRequestIn(toolRequest('required'), mockProvider, {});
+      const named = await transformer.transformRequestIn(
+        toolRequest({ type: 'function', function: { name: 'Read' } }),
+        mockProvider,
+        {}
+      );
+
+      assert.strictEqual(required.tool_choice, 'required');
+      assert.deepStrictEqual(named.tool_choice, { type: 'function', function: { name: 'Read' } });
+    });
+
+    it('should map disable_parallel_tool_use to parallel_tool_calls', async () => {
+      const disabled = await transformer.transformRequestIn(
+        toolRequest({ type: 'auto', disable_parallel_tool_use: true }),
+        mockProvider,
+        {}
+      );
+      const explicit = await transformer.transformRequestIn(
+        toolRequest('auto', { parallel_tool_calls: true }),
+        mockProvider,
+        {}
+      );
+
+      assert.strictEqual(disabled.parallel_tool_calls, false);
+      assert.strictEqual(explicit.parallel_tool_calls, true);
+    });
+
+    it('should reject a forced tool that is not defined in tools', async () => {
+      await assert.rejects(
+        transformer.transformRequestIn(toolRequest({ type: 'tool', name: 'Write' }), mockProvider, {}),
+        error => error.type === 'VALIDATION_ERROR' && /tool "Write" is not defined/.test(error.message)
+      );
+    });
+  });
+
+  describe('Tool Argument Repair', () => {
+    const toolCallResponse = (args) => ({
+      id: 'cmpl-repair',
+      model: 'devstral-latest',
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ id: 'Abc123xyz', type: 'function', function: { name: 'Edit', arguments: args } }]
+        },
+        finish_reason: 'tool_calls'
+      }]
+    });
+
+    it('should repair malformed arguments in non-streaming responses', async () => {
+      const cases = [
+        ['{"path": "a.txt",}', { path: 'a.txt' }],
+        ["{'path': 'it\\'s.txt'}", { path: "it's.txt" }],
+        ['{"text": "line one\nline two"}', { text: 'line one\nline two' }],
+        ['{"edits": [{"line": 1}', { edits: [{ line: 1 }] }],
+        ['{"a": "it\\\'s", "b": [1,2,],}', { a: "it's", b: [1, 2] }],
+        ['{"a": 1, "b', { a: 1, b: null }],
+        ['{"a": 1, "b"', { a: 1, b: null }]
+      ];
+
+      for (const [args, expected] of cases) {
+        const result = await transformer.transformResponseIn(toolCallResponse(args), {});
+        assert.deepStrictEqual(JSON.parse(result.choices[0].message.tool_calls[0].function.arguments), expected);
+      }
+
+      assert.strictEqual(transformer.getPerformanceMetrics().toolArgumentRepairs, cases.length);
+    });
+
+    it('should leave valid arguments untouched', async () => {
+      const args = '{ "path" : "a.txt", "lines": [1, 2] }';
+      const result = await transformer.transformResponseIn(toolCallResponse(args), {});
+
+      assert.strictEqual(result.choices[0].message.tool_calls[0].function.arguments, args);
+      assert.strictEqual(transformer.getPerformanceMetrics().toolArgumentRepairs, 0);
+    });
+
+    it('should repair streamed arguments and close truncated ones at finish', async () => {
+      const sse = (choice) => `data: ${JSON.stringify({ id: 'cmpl-repair', model: 'devstral-latest', choices: [choice] })}\n\n`;
+      const response = sseResponse([
+        sse({ index: 0, delta: { tool_calls: [{ index: 0, id: 'Abc123xyz', function: { name: 'Write', arguments: "{'path': 'a.txt'," } }] } }),
+        sse({ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: " 'content': 'one\ntwo" } }] } }),
+        sse({ index: 0, delta: {}, finish_reason: 'tool_calls' }),
+        'data: [DONE]\n\n'
+      ]);
+
+      const result = await transformer.transformResponseIn(response, {});
+      const events = parseSSE(await result.text()).filter(event => event !== '[DONE]');
+      const args = events
+        .flatMap(event => event.choices[0].delta.tool_calls || [])
+        .map(delta => delta.function.arguments)
+        .join('');
+
+      assert.deepStrictEqual(JSON.parse(args), { path: 'a.txt', content: 'one\ntwo' });
+      assert.strictEqual(transformer.getPerformanceMetrics().toolArgumentRepairs, 1);
+    });
+
+    it('should log the original arguments when repair is impossible', async () => {
+      const warnings = [];
+      const warnTransformer = new MistralTransformer({}, {
+        debug: () => {},
+        info: () => {},
+        warn: (message, metadata) => warnings.push({ message, metadata }),
+        error: () => {}
+      });
+
+      const result = await warnTransformer.transformResponseIn(toolCallResponse('{"path" "a.txt"}'), {});
+
+      assert.strictEqual(result.choices[0].message.tool_calls[0].function.arguments, '{"path" "a.txt"}');
+      assert.strictEqual(warnTransformer.getPerformanceMetrics().toolArgumentRepairFailures, 1);
+      assert.ok(warnings.some(entry =>
+        entry.message === 'Could not repair malformed tool call arguments' &&
+        entry.metadata.original === '{"path" "a.txt"}'
+      ));
+    });
+
+    it('should pass arguments through when repair is disabled', async () => {
+      const noRepair = new MistralTransformer({ repairToolArguments: false });
+      const result = await noRepair.transformResponseIn(toolCallResponse('{"path": "a.txt",}'), {});
+
+      assert.strictEqual(result.choices[0].message.tool_calls[0].function.arguments, '{"path": "a.txt",}');
+    });
+  });
+
+  describe('Tool Name Sanitization', () => {
+    const longName = 'mcp__github__create_pull_request_review_comment_with_suggested_changes_and_threads';
+
+    it('should rewrite tool names to a compliant, collision-free form', async () => {
+      const result = await transformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [
+          { role: 'user', content: 'Review the PR' },
+          {
+            role: 'assistant',
+            content: [{ type: 'tool_use', id: 'toolu_01', name: longName, input: {} }]
+          },
+          { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_01', content: 'done' }] }
+        ],
+        tools: [
+          { type: 'function', function: { name: longName, parameters: { type: 'object', properties: {} } } },
+          { type: 'function', function: { name: 'mcp.fs/read', parameters: { type: 'object', properties: {} } } },
+          { type: 'function', function: { name: 'mcp_fs_read', parameters: { type: 'object', properties: {} } } },
+          { type: 'function', function: { name: 'Read', parameters: { type: 'object', properties: {} } } }
+        ],
+        tool_choice: { type: 'tool', name: 'mcp.fs/read' }
+      }, mockProvider, { req: { id: 'req-names' } });
+
+      const names = result.tools.map(tool => tool.function.name);
+
+      names.forEach(name => assert.match(name, /^[a-zA-Z0-9_-]{1,64}$/));
+      assert.strictEqual(new Set(names).size, names.length);
+      assert.strictEqual(names[1], 'mcp_fs_read');
+      assert.notStrictEqual(names[2], 'mcp_fs_read');
+      assert.strictEqual(names[3], 'Read');
+      assert.strictEqual(result.messages[1].tool_calls[0].function.name, names[0]);
+      assert.strictEqual(result.messages[2].name, names[0]);
+      assert.deepStrictEqual(result.tool_choice, { type: 'function', function: { name: 'mcp_fs_read' } });
+    });
+
+    it('should restore original tool names in responses', async () => {
+      const context = { req: { id: 'req-names-response' } };
+      const request = await transformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [{ role: 'user', content: 'Review the PR' }],
+        tools: [{ type: 'function', function: { name: longName, parameters: { type: 'object', properties: {} } } }]
+      }, mockProvider, context);
+      const mistralName = request.tools[0].function.name;
+
+      const response = await transformer.transformResponseIn(jsonResponse({
+        id: 'cmpl-names',
+        model: 'devstral-latest',
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: '',
+            tool_calls: [{ id: 'Abc123xyz', type: 'function', function: { name: mistralName, arguments: '{}' } }]
+          },
+          finish_reason: 'tool_calls'
+        }]
+      }), context);
+
+      const body = await response.json();
+      assert.strictEqual(body.choices[0].message.tool_calls[0].function.name, longName);
+    });
+
+    it('should restore original tool names in streamed tool calls', async () => {
+      const context = { req: { id: 'req-names-stream' } };
+      const request = await transformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [{ role: 'user', content: 'Read it' }],
+        tools: [{ type: 'function', function: { name: 'mcp.fs/read', parameters: { type: 'object', properties: {} } } }],
+        stream: true
+      }, mockProvider, context);
+
+      const chunk = {
+        id: 'cmpl-names',
+        model: 'devstral-latest',
+        choices: [{
+          index: 0,
+          delta: { tool_calls: [{ index: 0, id: 'Abc123xyz', function: { name: request.tools[0].function.name, arguments: '{}' } }] },
+          finish_reason: 'tool_calls'
+        }]
+      };
+      const response = await transformer.transformResponseIn(
+        sseResponse([`data: ${JSON.stringify(chunk)}\n\n`, 'data: [DONE]\n\n']),
+        context
+      );
+
+      const [event] = parseSSE(await response.text());
+      assert.strictEqual(event.choices[0].delta.tool_calls[0].function.name, 'mcp.fs/read');
+    });
+  });
+
+  describe('Message Sequence Normalization', () => {
+    const transform = (messages, options = {}) => new MistralTransformer(options, {
+      debug: () => {},
+      info: () => {},
+      warn: () => {},
+      error: () => {}
+    }).transformRequestIn({ model: 'devstral-latest', messages }, mockProvider, {});
+
+    it('should merge consecutive same-role messages', async () => {
+      const result = await transform([
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' },
+        { role: 'assistant', content: 'Reply one' },
+        { role: 'assistant', content: [{ type: 'text', text: 'Reply two' }] },
+        { role: 'user', content: 'Third' }
+      ]);
+
+      assert.deepStrictEqual(result.messages, [
+        { role: 'user', content: 'First\n\nSecond' },
+        { role: 'assistant', content: [{ type: 'text', text: 'Reply one' }, { type: 'text', text: 'Reply two' }] },
+        { role: 'user', content: 'Third' }
+      ]);
+    });
+
+    it('should move mid-conversation system messages into the leading system message', async () => {
+      const result = await transform([
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'system', content: 'Be concise.' },
+        { role: 'user', content: 'Explain' }
+      ]);
+
+      assert.deepStrictEqual(result.messages, [
+        { role: 'system', content: 'You are helpful.\n\nBe concise.' },
+        { role: 'user', content: 'Hi\n\nExplain' }
+      ]);
+    });
+
+    it('should bridge user messages after tool messages and drop empty assistant messages', async () => {
+      const result = await transform([
+        { role: 'user', content: 'List files' },
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ id: 'Abc123xyz', type: 'function', function: { name: 'LS', arguments: '{}' } }]
+        },
+        { role: 'tool', tool_call_id: 'Abc123xyz', content: 'a.txt' },
+        { role: 'assistant', content: '' },
+        { role: 'user', content: 'Thanks' }
+      ]);
+
+      assert.deepStrictEqual(result.messages.map(message => message.role), ['user', 'assistant', 'tool', 'assistant', 'user']);
+      assert.strictEqual(result.messages[3].content, 'Tool results received.');
+    });
+
+    it('should end the conversation with a user turn and log each rewrite', async () => {
+      const logs = [];
+      const auditTransformer = new MistralTransformer({}, {
+        debug: () => {},
+        info: (message, metadata) => logs.push({ message, metadata }),
+        warn: () => {},
+        error: () => {}
+      });
+
+      const result = await auditTransformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [
+          { role: 'user', content: 'Write a haiku' },
+          { role: 'assistant', content: 'Autumn' }
+        ]
+      }, mockProvider, {});
+
+      assert.deepStrictEqual(result.messages[result.messages.length - 1], { role: 'user', content: 'Continue.' });
+
+      const log = logs.find(entry => entry.message === 'Normalized message sequence for Mistral');
+      assert.deepStrictEqual(log.metadata.rewrites, [{ action: 'appended_continuation', index: 2 }]);
+    });
+
+    it('should leave messages untouched when normalization is disabled', async () => {
+      const messages = [
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' }
+      ];
+
+      const result = await transform(messages, { normalizeMessages: false });
+
+      assert.deepStrictEqual(result.messages, messages);
+    });
+  });
+
+  describe('Orphaned Tool Reconciliation', () => {
+    const history = [
+      { role: 'user', content: 'Read both files' },
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { id: 'Abc123xyz', type: 'function', function: { name: 'Read', arguments: '{"file_path":"a.txt"}' } },
+          { id: 'Def456uvw', type: 'function', function: { name: 'Read', arguments: '{"file_path":"b.txt"}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'Abc123xyz', content: 'contents of a' },
+      { role: 'tool', tool_call_id: 'Zzz999zzz', content: 'stale result' },
+      { role: 'user', content: 'Go on' }
+    ];
+
+    const transform = (options = {}) => new MistralTransformer(options, {
+      debug: () => {},
+      info: () => {},
+      warn: () => {},
+      error: () => {}
+    }).transformRequestIn({ model: 'devstral-latest', messages: history }, mockProvider, {});
+
+    it('should synthesize cancelled results and strip orphaned results by default', async () => {
+      const result = await transform();
+      const toolMessages = result.messages.filter(message => message.role === 'tool');
+
+      assert.deepStrictEqual(toolMessages.map(message => message.tool_call_id), ['Abc123xyz', 'Def456uvw']);
+      assert.strictEqual(toolMessages[1].content, 'Tool call was cancelled.');
+      assert.strictEqual(toolMessages[1].name, 'Read');
+      assert.ok(!JSON.stringify(result.messages).includes('stale result'));
+    });
+
+    it('should strip dangling tool calls and convert orphaned results when configured', async () => {
+      const result = await transform({ orphanedToolCalls: 'strip', orphanedToolResults: 'convert' });
+      const assistant = result.messages.find(message => message.tool_calls);
+
+      assert.deepStrictEqual(assistant.tool_calls.map(toolCall => toolCall.id), ['Abc123xyz']);
+      assert.strictEqual(result.messages.filter(message => message.role === 'tool').length, 1);
+      assert.ok(result.messages.some(message =>
+        message.role === 'user' && JSON.stringify(message.content).includes('Result of Zzz999zzz:\\nstale result')
+      ));
+    });
+
+    it('should reconcile results that do not directly follow their tool call', async () => {
+      const logs = [];
+      const auditTransformer = new MistralTransformer({}, {
+        debug: () => {},
+        info: (message, metadata) => logs.push({ message, metadata }),
+        warn: () => {},
+        error: () => {}
+      });
+
+      const result = await auditTransformer.transformRequestIn({
+        model: 'devstral-latest',
+        messages: [
+          { role: 'user', content: 'List files' },
+          {
+            role: 'assistant',
+            content: [{ type: 'tool_use', id: 'toolu_01', name: 'LS', input: {} }]
+          },
+          { role: 'user', content: 'Actually, stop' },
+          { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_01', content: 'late result' }] }
+        ]
+      }, mockProvider, {});
+
+      assert.deepStrictEqual(
+        result.messages.map(message => message.role),
+        ['user', 'assistant', 'tool', 'assistant', 'user']
+      );
+      assert.strictEqual(result.messages[2].content, 'Tool call was cancelled.');
+
+      const log = logs.find(entry => entry.message === 'Reconciled orphaned tool calls and results');
+      assert.deepStrictEqual(log.metadata.rewrites.map(rewrite => rewrite.action), [
+        'synthesized_cancelled_tool_result',
+        'stripped_orphaned_tool_result'
+      ]);
+    });
+  });
+
+  describe('Text Tool Call Recovery', () => {
+    const textResponse = (content) => ({
+      id: 'cmpl-text-tools',
+      model: 'devstral-latest',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+    });
+
+    it('should convert [TOOL_CALLS] JSON text into tool calls', async () => {
+      const result = await transformer.transformResponseIn(
+        textResponse('Let me check.[TOOL_CALLS][{"name": "Read", "arguments": {"file_path": "a.txt"}}]</s>'),
+        {}
+      );
+      const choice = result.choices[0];
+
+      assert.strictEqual(choice.finish_reason, 'tool_calls');
+      assert.strictEqual(choice.message.content, 'Let me check.');
+      assert.strictEqual(choice.message.tool_calls.length, 1);
+      assert.strictEqual(choice.message.tool_calls[0].function.name, 'Read');
+      assert.deepStrictEqual(JSON.parse(choice.message.tool_calls[0].function.arguments), { file_path: 'a.txt' });
+      assert.ok(choice.message.tool_calls[0].id);
+    });
+
+    it('should convert the tokenized [TOOL_CALLS]name[ARGS] form', async () => {
+      const result = await transformer.transformResponseIn(
+        textResponse('[TOOL_CALLS]LS[ARGS]{"path": "."}[TOOL_CALLS]Grep[ARGS]{"pattern": "x"}'),
+        {}
+      );
+
+      assert.deepStrictEqual(
+        result.choices[0].message.tool_calls.map(toolCall => toolCall.function.name),
+        ['LS', 'Grep']
+      );
+      assert.strictEqual(result.choices[0].message.content, '');
+    });
+
+    it('should strip leaked special tokens from normal text', async () => {
+      const result = await transformer.transformResponseIn(textResponse('Hello there.</s>[/INST]'), {});
+
+      assert.strictEqual(result.choices[0].message.content, 'Hello there.');
+      assert.strictEqual(result.choices[0].finish_reason, 'stop');
+      assert.strictEqual(result.choices[0].message.tool_calls, undefined);
+    });
+
+    it('should keep special-token strings inside text such as HTML', async () => {
+      const result = await transformer.transformResponseIn(
+        textResponse('<s>Use <s>old</s> for strikethrough, not [INST].</s>'),
+        {}
+      );
+
+      assert.strictEqual(result.choices[0].message.content, 'Use <s>old</s> for strikethrough, not [INST].');
+    });
+
+    it('should strip streamed tokens only at the start and end of the text', async () => {
+      const sse = (choice) => `data: ${JSON.stringify({ id: 'cmpl-text', model: 'devstral-latest', choices: [choice] })}\n\n`;
+      const response = sseResponse([
+        sse({ index: 0, delta: { content: '<s>' } }),
+        sse({ index: 0, delta: { content: 'Use <s>' } }),
+        sse({ index: 0, delta: { content: 'old</s>' } }),
+        sse({ index: 0, delta: { content: ' markup.[/AVAILABLE_TOO' } }),
+        sse({ index: 0, delta: { content: 'LS]</s>' } }),
+        sse({ index: 0, delta: {}, finish_reason: 'stop' }),
+        'data: [DONE]\n\n'
+      ]);
+
+      const result = await transformer.transformResponseIn(response, {});
+      const events = parseSSE(await result.text()).filter(event => event !== '[DONE]');
+
+      assert.strictEqual(events.map(event => event.choices[0].delta.content || '').join(''), 'Use <s>old</s> markup.');
+    });
+
+    it('should keep special-token strings inside recovered tool call arguments', async () => {
+      const result = await transformer.transformResponseIn(
+        textResponse('[TOOL_CALLS][{"name": "Write", "arguments": {"content": "<s>x</s>"}}]</s>'),
+        {}
+      );
+
+      assert.deepStrictEqual(
+        JSON.parse(result.choices[0].message.tool_calls[0].function.arguments),
+        { content: '<s>x</s>' }
+      );
+    });
+
+    it('should recover tool calls from streamed text split across chunks', async () => {
+      const sse = (choice) => `data: ${JSON.stringify({ id: 'cmpl-text-tools', model: 'devstral-latest', choices: [choice] })}\n\n`;
+      const response = sseResponse([
+        sse({ index: 0, delta: { role: 'assistant', content: 'Checking now. [TOOL' } }),
+        sse({ index: 0, delta: { content: '_CALLS][{"name": "Read", ' } }),
+        sse({ index: 0, delta: { content: '"arguments": {"file_path": "a.txt"}}]</s>' } }),
+        sse({ index: 0, delta: {}, finish_reason: 'stop' }),
+        'data: [DONE]\n\n'
+      ]);
+
+      const result = await transformer.transformResponseIn(response, {});
+      const events = parseSSE(await result.text()).filter(event => event !== '[DONE]');
+      const text = events.map(event => event.choices[0].delta.content || '').join('');
+      const toolCalls = events.flatMap(event => event.choices[0].delta.tool_calls || []);
+      const last = events[events.length - 1].choices[0];
+
+      assert.strictEqual(text, 'Checking now. ');
+      assert.strictEqual(toolCalls[0].function.name, 'Read');
+      assert.deepStrictEqual(JSON.parse(toolCalls.map(toolCall => toolCall.function.arguments).join('')), { file_path: 'a.txt' });
+      assert.strictEqual(last.finish_reason, 'tool_calls');
+    });
+
+    it('should release held-back text that is not a special token', async () => {
+      const sse = (choice) => `data: ${JSON.stringify({ id: 'cmpl-text', model: 'devstral-latest', choices: [choice] })}\n\n`;
+      const response = sseResponse([
+        sse({ index: 0, delta: { content: 'values[' } }),
+        sse({ index: 0, delta: { content: '0] and <' } }),
+        sse({ index: 0, delta: {}, finish_reason: 'stop' }),
+        'data: [DONE]\n\n'
+      ]);
+
+      const result = await transformer.transformResponseIn(response, {});
+      const events = parseSSE(await result.text()).filter(event => event !== '[DONE]');
+
+      assert.strictEqual(events.map(event => event.choices[0].delta.content || '').join(''), 'values[0] and <');
+      assert.strictEqual(events[events.length - 1].choices[0].finish_reason, 'stop');
+    });
+  });
+
+  describe('SSE Decoding', () => {
+    it('should handle CRLF line endings split across reads, comments and multi-line data', async () => {
+      const response = sseResponse([
+        ': keep-alive\r\n\r',
+        '\nevent: message\r\nid: 1\r\ndata: {"id":"cmpl-crlf","model":"devstral-latest",\r\n',
+        'data: "choices":[{"index":0,"delta":{"content":"Hi"}}]}\r',
+        '\n\r\ndata: {"choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}\r\n\r\n',
+        'data: [DONE]\r\n\r\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+
+      assert.strictEqual(events.length, 3);
+      assert.strictEqual(events[0].id, 'cmpl-crlf');
+      assert.strictEqual(events[0].choices[0].delta.content, 'Hi');
+      assert.strictEqual(events[1].choices[0].finish_reason, 'stop');
+      assert.strictEqual(events[2], '[DONE]');
+    });
+
+    it('should dispatch a final event that lacks its blank line', async () => {
+      const response = sseResponse([
+        'data: {"id":"cmpl-tail","choices":[{"index":0,"delta":{"content":"End"},"finish_reason":"stop"}]}'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].choices[0].delta.content, 'End');
+    });
+
+    it('should buffer raw SSE strings split across chunk-by-chunk calls', async () => {
+      const context = { req: { id: 'req-sse-strings' } };
+
+      const first = await transformer.transformResponseIn(
+        'data: {"id":"cmpl-raw","choices":[{"index":0,"delta":{"content":"Split',
+        context
+      );
+      const second = await transformer.transformResponseIn(
+        ' event"}}]}\n\ndata: {"choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n',
+        context
+      );
+
+      assert.deepStrictEqual(first, []);
+      assert.strictEqual(second[0].id, 'cmpl-raw');
+      assert.strictEqual(second[0].delta.content, 'Split event');
+      assert.strictEqual(second[1].finish_reason, 'stop');
+      assert.strictEqual(second[second.length - 1].event, 'done');
+    });
+
+    it('should unwrap error events', async () => {
+      const response = sseResponse([
+        'event: error\ndata: {"message":"Overloaded","type":"server_error"}\n\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+
+      assert.strictEqual(events[0].error.message, 'Overloaded');
+    });
+  });
+
+  describe('Streamed Usage', () => {
+    it('should emit usage from the final chunk and count it per model', async () => {
+      const response = sseResponse([
+        'data: {"id":"cmpl-usage","model":"devstral-latest","choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"id":"cmpl-usage","model":"devstral-latest","choices":[{"index":0,"delta":{},"finish_reason":"stop"}],' +
+          '"usage":{"prompt_tokens":12,"completion_tokens":3,"total_tokens":15}}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+
+      assert.strictEqual(events[0].usage, undefined);
+      assert.strictEqual(events[1].choices[0].finish_reason, 'stop');
+      assert.deepStrictEqual(events[1].usage, { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+      assert.deepStrictEqual(transformer.getPerformanceMetrics().tokenUsageByModel['devstral-latest'], {
+        responses: 1,
+        prompt_tokens: 12,
+        completion_tokens: 3,
+        total_tokens: 15
+      });
+    });
+
+    it('should emit a usage-only chunk when usage arrives without choices', async () => {
+      const context = { req: { id: 'req-usage-only' } };
+
+      await transformer.transformResponseIn(
+        'data: {"id":"cmpl-u2","model":"mistral-large-latest","choices":[{"index":0,"delta":{"content":"Ok"},"finish_reason":"stop"}]}\n\n',
+        context
+      );
+      const chunks = await transformer.transformResponseIn(
+        'data: {"id":"cmpl-u2","choices":[],"usage":{"prompt_tokens":5,"completion_tokens":1,"total_tokens":6}}\n\ndata: [DONE]\n\n',
+        context
+      );
+
+      assert.strictEqual(chunks[0].index, undefined);
+      assert.strictEqual(chunks[0].usage.total_tokens, 6);
+      assert.strictEqual(chunks[chunks.length - 1].event, 'done');
+      assert.strictEqual(chunks[chunks.length - 1].usage.prompt_tokens, 5);
+      assert.strictEqual(transformer.getPerformanceMetrics().tokenUsageByModel['mistral-large-latest'].total_tokens, 6);
+    });
+
+    it('should count non-streaming usage and clear counters on reset', async () => {
+      await transformer.transformResponseIn({
+        id: 'cmpl-json',
+        model: 'devstral-latest',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Done' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 }
+      }, {});
+
+      assert.strictEqual(transformer.getPerformanceMetrics().tokenUsageByModel['devstral-latest'].responses, 1);
+
+      transformer.resetMetrics();
+      assert.deepStrictEqual(transformer.getPerformanceMetrics().tokenUsageByModel, {});
+    });
+  });
+
+  describe('Stream Aggregation', () => {
+    const request = {
+      model: 'devstral-latest',
+      messages: [{ role: 'user', content: 'List the files' }],
+      tools: [{
+        type: 'function',
+        function: { name: 'list_files', description: 'List files', parameters: { type: 'object', properties: {} } }
+      }],
+      stream: false
+    };
+
+    it('should stream upstream and return one aggregated completion', async () => {
+      const aggregating = new MistralTransformer({ forceUpstreamStreaming: true });
+      const context = { req: { id: 'req-aggregate' } };
+
+      const mistralRequest = await aggregating.transformRequestIn(request, mockProvider, context);
+      assert.strictEqual(mistralRequest.stream, true);
+
+      const response = await aggregating.transformResponseIn(sseResponse([
+        'data: {"id":"cmpl-agg","model":"devstral-latest","created":1700000000,"choices":[{"index":0,"delta":{"role":"assistant","content":"Checking"}}]}\n\n',
+        'data: {"id":"cmpl-agg","choices":[{"index":0,"delta":{"content":" now.","tool_calls":[{"index":0,"id":"abcDEF123","function":{"name":"list_files","arguments":"{\\"pa"}}]}}]}\n\n',
+        'data: {"id":"cmpl-agg","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"th\\": \\".\\"}"}}]},"finish_reason":"tool_calls"}],',
+        '"usage":{"prompt_tokens":20,"completion_tokens":8,"total_tokens":28}}\n\ndata: [DONE]\n\n'
+      ]), context);
+
+      assert.strictEqual(response.headers.get('Content-Type'), 'application/json');
+
+      const completion = await response.json();
+      assert.strictEqual(completion.object, 'chat.completion');
+      assert.strictEqual(completion.id, 'cmpl-agg');
+      assert.strictEqual(completion.created, 1700000000);
+      assert.strictEqual(completion.choices[0].message.content, 'Checking now.');
+      assert.strictEqual(completion.choices[0].finish_reason, 'tool_calls');
+      assert.deepStrictEqual(completion.choices[0].message.tool_calls, [{
+        id: 'abcDEF123',
+        type: 'function',
+        function: { name: 'list_files', arguments: '{"path": "."}' }
+      }]);
+      assert.deepStrictEqual(completion.usage, { prompt_tokens: 20, completion_tokens: 8, total_tokens: 28 });
+      assert.strictEqual(aggregating.requestStates.size, 0);
+    });
+
+    it('should only force streaming for matching models with a request ID', async () => {
+      const aggregating = new MistralTransformer({ forceUpstreamStreaming: ['mistral-large'] });
+
+      const devstral = await aggregating.transformRequestIn(request, mockProvider, { req: { id: 'req-a' } });
+      const large = await aggregating.transformRequestIn(
+        { ...request, model: 'mistral-large-latest' }, mockProvider, { req: { id: 'req-b' } }
+      );
+      const anonymous = await aggregating.transformRequestIn({ ...request, model: 'mistral-large-latest' }, mockProvider, {});
+
+      assert.strictEqual(devstral.stream, false);
+      assert.strictEqual(large.stream, true);
+      assert.strictEqual(anonymous.stream, false);
+    });
+
+    it('should return a streamed error as a JSON error response', async () => {
+      const response = await transformer.transformResponseIn(sseResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Partial"}}]}\n\n',
+        'event: error\ndata: {"message":"Model overloaded","type":"server_error"}\n\n'
+      ]), { aggregateStream: true });
+
+      const body = await response.json();
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(body.object, 'error');
+      assert.strictEqual(body.error.message, 'Model overloaded');
+    });
+  });
+
+  describe('Anthropic Messages Output', () => {
+    const anthropic = new MistralTransformer({ anthropicOutput: true });
+
+    // Parse Anthropic SSE text into [event name, payload] pairs
+    const parseAnthropicSSE = (text) => text
+      .split('\n\n')
+      .filter(Boolean)
+      .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return [eventLine.slice(7), JSON.parse(dataLine.slice(6))];
+      });
+
+    it('should convert a raw Magistral completion into an Anthropic message', async () => {
+      const context = { req: { id: 'req-anthropic-json' } };
+      const request = await anthropic.transformRequestIn({
+        model: 'magistral-medium-latest',
+        messages: [{ role: 'user', content: 'Read a.js' }],
+        tools: [{ type: 'function', function: { name: 'mcp.fs/read_file', parameters: { type: 'object', properties: {} } } }]
+      }, mockProvider, context);
+
+      const message = await anthropic.transformResponseOut({
+        id: 'cmpl-out',
+        object: 'chat.completion',
+        model: 'magistral-medium-latest',
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: [
+              { type: 'thinking', thinking: [{ type: 'text', text: 'Need the file.' }] },
+              { type: 'text', text: 'Reading it.' }
+            ],
+            tool_calls: [{
+              id: 'Abc123xyz',
+              type: 'function',
+              function: { name: request.tools[0].function.name, arguments: "{'path': 'a.js',}" }
+            }]
+          },
+          finish_reason: 'tool_calls'
+        }],
+        usage: { prompt_tokens: 30, completion_tokens: 9, total_tokens: 39 }
+      }, context);
+
+      assert.deepStrictEqual(message, {
+        id: 'cmpl-out',
+        type: 'message',
+        role: 'assistant',
+        model: 'magistral-medium-latest',
+        content: [
+          { type: 'thinking', thinking: 'Need the file.', signature: '' },
+          { type: 'text', text: 'Reading it.' },
+          { type: 'tool_use', id: 'Abc123xyz', name: 'mcp.fs/read_file', input: { path: 'a.js' } }
+        ],
+        stop_reason: 'tool_use',
+        stop_sequence: null,
+        usage: { input_tokens: 30, output_tokens: 9 }
+      });
+    });
+
+    it('should convert a Mistral JSON Response and keep its status', async () => {
+      const response = await anthropic.transformResponseOut(jsonResponse({
+        id: 'cmpl-json-out',
+        model: 'devstral-latest',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'length' }]
+      }), {});
+
+      const message = await response.json();
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(message.content, [{ type: 'text', text: 'Hi' }]);
+      assert.strictEqual(message.stop_reason, 'max_tokens');
+    });
+
+    it('should stream Anthropic events from a Mistral stream', async () => {
+      const context = { req: { id: 'req-anthropic-stream' } };
+      const response = await anthropic.transformResponseOut(sseResponse([
+        'data: {"id":"cmpl-a","model":"magistral-medium-latest","choices":[{"index":0,"delta":{"content":[{"type":"thinking","thinking":[{"type":"text","text":"Plan"}]}]}}]}\n\n',
+        'data: {"id":"cmpl-a","choices":[{"index":0,"delta":{"content":"Sure"}}]}\n\n',
+        'data: {"id":"cmpl-a","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"abcDEF123","function":{"name":"ls","arguments":"{\\"dir\\":"}}]}}]}\n\n',
+        'data: {"id":"cmpl-a","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"src\\"}"}}]},"finish_reason":"tool_calls"}],',
+        '"usage":{"prompt_tokens":11,"completion_tokens":7,"total_tokens":18}}\n\ndata: [DONE]\n\n'
+      ]), context);
+      const events = parseAnthropicSSE(await response.text());
+
+      assert.deepStrictEqual(events.map(([name]) => name), [
+        'message_start',
+        'content_block_start', 'content_block_delta', 'content_block_stop',
+        'content_block_start', 'content_block_delta', 'content_block_stop',
+        'content_block_start', 'content_block_delta', 'content_block_stop',
+        'message_delta', 'message_stop'
+      ]);
+      assert.strictEqual(events[0][1].message.id, 'cmpl-a');
+      assert.strictEqual(events[0][1].message.model, 'magistral-medium-latest');
+      assert.deepStrictEqual(events[2][1].delta, { type: 'thinking_delta', thinking: 'Plan' });
+      assert.deepStrictEqual(events[5][1].delta, { type: 'text_delta', text: 'Sure' });
+      assert.deepStrictEqual(events[7][1], {
+        type: 'content_block_start',
+        index: 2,
+        content_block: { type: 'tool_use', id: 'abcDEF123', name: 'ls', input: {} }
+      });
+      assert.deepStrictEqual(events[8][1].delta, { type: 'input_json_delta', partial_json: '{"dir":"src"}' });
+      assert.deepStrictEqual(events[10][1], {
+        type: 'message_delta',
+        delta: { stop_reason: 'tool_use', stop_sequence: null },
+        usage: { input_tokens: 11, output_tokens: 7 }
+      });
+    });
+
+    it('should send interleaved parallel tool calls as complete tool_use blocks', async () => {
+      const response = await anthropic.transformResponseOut(sseResponse([
+        'data: {"id":"cmpl-p","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"aaaaaaaa1","function":{"name":"read","arguments":"{\\"path\\":"}}]}}]}\n\n',
+        'data: {"id":"cmpl-p","choices":[{"index":0,"delta":{"tool_calls":[{"index":1,"id":"bbbbbbbb2","function":{"name":"ls","arguments":"{\\"dir\\":"}}]}}]}\n\n',
+        'data: {"id":"cmpl-p","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"a.js\\"}"}}]}}]}\n\n',
+        'data: {"id":"cmpl-p","choices":[{"index":0,"delta":{"content":"Checking both."}}]}\n\n',
+        'data: {"id":"cmpl-p","choices":[{"index":0,"delta":{"tool_calls":[{"index":1,"function":{"arguments":"\\"src\\"}"}}]},"finish_reason":"tool_calls"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]), {});
+
+      const events = parseAnthropicSSE(await response.text())
+        .map(([, event]) => event)
+        .filter(event => event.type.startsWith('content_block'));
+
+      // Every delta targets the block that is open at that point
+      let open = null;
+      for (const event of events) {
+        if (event.type === 'content_block_start') {
+          assert.strictEqual(open, null);
+          open = event.index;
+        } else if (event.type === 'content_block_delta') {
+          assert.strictEqual(event.index, open);
+        } else {
+          assert.strictEqual(event.index, open);
+          open = null;
+        }
+      }
+
+      const starts = events.filter(event => event.type === 'content_block_start');
+      const inputs = events.filter(event => event.delta?.type === 'input_json_delta');
+      assert.deepStrictEqual(starts.map(event => event.content_block.type), ['text', 'tool_use', 'tool_use']);
+      assert.deepStrictEqual(starts.slice(1).map(event => event.content_block.name), ['read', 'ls']);
+      assert.deepStrictEqual(inputs.map(event => event.delta.partial_json), ['{"path":"a.js"}', '{"dir":"src"}']);
+    });
+
+    it('should emit an Anthropic error event for streamed errors', async () => {
+      const response = await anthropic.transformResponseOut(sseResponse([
+        'event: error\ndata: {"message":"Overloaded","type":"server_error"}\n\n'
+      ]), {});
+
+      const events = parseAnthropicSSE(await response.text());
+
+      assert.deepStrictEqual(events, [
+        ['error', { type: 'error', error: { type: 'server_error', message: 'Overloaded' } }]
+      ]);
+    });
+  });
+
+  describe('Stream Timeouts and Keepalives', () => {
+    // Build an event-stream Response whose reads are sent on a schedule: [delayMs, text] pairs
+    const scheduledSSEResponse = (schedule, { close = true, onCancel = () => {} } = {}) => {
+      const encoder = new TextEncoder();
+      const body = new ReadableStream({
+        async start(controller) {
+          for (const [delay, text] of schedule) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+            controller.enqueue(encoder.encode(text));
+          }
+          if (close) {
+            controller.close();
+          }
+        },
+        cancel: onCancel
+      });
+
+      return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+    };
+
+    // The watchdog timers are unref'd; an open upstream socket keeps the process alive in
+    // production, so stand in for it while a stream stalls
+    let socketStandIn;
+    beforeEach(() => {
+      socketStandIn = setInterval(() => {}, 1000);
+    });
+    afterEach(() => {
+      clearInterval(socketStandIn);
+    });
+
+    it('should abort a stalled stream with an error event and count it', async () => {
+      const stalling = new MistralTransformer({ streamIdleTimeout: 40, streamKeepaliveInterval: 0 });
+      let cancelled = false;
+
+      const response = await stalling.transformResponseIn(scheduledSSEResponse([
+        [0, 'data: {"id":"cmpl-stall","choices":[{"index":0,"delta":{"content":"Half"}}]}\n\n']
+      ], { close: false, onCancel: () => { cancelled = true; } }), {});
+
+      const events = parseSSE(await response.text());
+
+      assert.strictEqual(events[0].choices[0].delta.content, 'Half');
+      assert.strictEqual(events[1].error.status, 504);
+      assert.strictEqual(events[1].error.type, 'timeout_error');
+      assert.strictEqual(events.length, 2);
+      assert.strictEqual(cancelled, true);
+      assert.strictEqual(stalling.getPerformanceMetrics().streamIdleTimeouts, 1);
+    });
+
+    it('should stop the watchdog and cancel upstream when the client disconnects', async () => {
+      const watched = new MistralTransformer({ streamIdleTimeout: 30, streamKeepaliveInterval: 0 });
+      let cancelled = false;
+
+      const response = await watched.transformResponseIn(scheduledSSEResponse([
+        [0, 'data: {"id":"cmpl-gone","choices":[{"index":0,"delta":{"content":"Half"}}]}\n\n']
+      ], { close: false, onCancel: () => { cancelled = true; } }), { req: { id: 'req-gone' }, model: 'devstral-latest' });
+
+      const reader = response.body.getReader();
+      await reader.read();
+      await reader.cancel(new Error('client disconnected'));
+      await new Promise(resolve => setTimeout(resolve, 80));
+
+      assert.strictEqual(cancelled, true);
+      assert.strictEqual(watched.getPerformanceMetrics().streamIdleTimeouts, 0);
+      assert.ok(watched.exportState().circuitBreakers.every(status => status.failureCount === 0));
+      assert.strictEqual(watched.requestStates.has('req-gone'), false);
+    });
+
+    it('should time out an aggregated stream that never sends data', async () => {
+      const stalling = new MistralTransformer({ firstByteTimeout: 30 });
+
+      const response = await stalling.transformResponseIn(
+        scheduledSSEResponse([], { close: false }),
+        { aggregateStream: true }
+      );
+      const body = await response.json();
+
+      assert.strictEqual(response.status, 504);
+      assert.match(body.error.message, /no data within 30ms/);
+      assert.strictEqual(stalling.getPerformanceMetrics().firstByteTimeouts, 1);
+    });
+
+    it('should send keepalive comments while the stream is quiet and pass upstream comments through', async () => {
+      const quiet = new MistralTransformer({ streamIdleTimeout: 2000, streamKeepaliveInterval: 15 });
+
+      const response = await quiet.transformResponseIn(scheduledSSEResponse([
+        [0, ': ping\n\ndata: {"id":"cmpl-quiet","choices":[{"index":0,"delta":{"content":"Thinking"}}]}\n\n'],
+        [120, 'data: {"choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n']
+      ]), {});
+
+      const text = await response.text();
+
+      assert.ok(text.startsWith(': ping\n\n'));
+      assert.ok(text.includes(': keepalive\n\n'));
+      assert.strictEqual(parseSSE(text).pop(), '[DONE]');
+    });
+
+    it('should turn keepalive comments into Anthropic ping events', async () => {
+      const anthropic = new MistralTransformer({ anthropicOutput: true });
+      const response = await anthropic.transformResponseOut(sseResponse([': keepalive\n\n', 'data: [DONE]\n\n']), {});
+      const names = (await response.text()).split('\n').filter(line => line.startsWith('event: '));
+
+      assert.deepStrictEqual(names, ['event: ping', 'event: message_start', 'event: message_delta', 'event: message_stop']);
+    });
+  });
+
+  describe('Circuit Breaker', () => {
+    const request = (model) => ({ model, messages: [{ role: 'user', content: 'Hi' }] });
+    let requestCount = 0;
+
+    // Send one request through the breaker and answer it with the given upstream status
+    const roundTrip = async (breaking, model, status) => {
+      const context = { req: { id: `req-breaker-${requestCount++}` } };
+      await breaking.transformRequestIn(request(model), mockProvider, context);
+      const body = status === 200
+        ? { id: 'cmpl-ok', model, choices: [{ index: 0, message: { role: 'assistant', content: 'Ok' }, finish_reason: 'stop' }] }
+        : { message: 'Service unavailable' };
+      return breaking.transformResponseIn(jsonResponse(body, status), context);
+    };
+
+    const stateOf = (breaking, model) =>
+      breaking.exportState().circuitBreakers.find(status => status.key === model)?.state;
+
+    it('should open per model after consecutive failures and reject requests', async () => {
+      const breaking = new MistralTransformer({ circuitBreakerThreshold: 2, circuitBreakerCooldown: 60000 });
+
+      await roundTrip(breaking, 'devstral-latest', 503);
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'closed');
+      await roundTrip(breaking, 'devstral-latest', 502);
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'open');
+
+      await assert.rejects(
+        breaking.transformRequestIn(request('devstral-latest'), mockProvider, {}),
+        (error) => {
+          assert.strictEqual(error.type, 'CIRCUIT_OPEN_ERROR');
+          assert.strictEqual(error.statusCode, 503);
+          assert.ok(error.retryAfter > 0 && error.retryAfter <= 60000);
+          return true;
+        }
+      );
+
+      // Other models keep their own breaker
+      await breaking.transformRequestIn(request('mistral-large-latest'), mockProvider, {});
 
-      assert.ok(result, 'Response transformation should succeed');
-      assert.strictEqual(result.id, 'chatcmpl-123');
-      assert.strictEqual(result.model, 'devstral-latest');
-      assert.strictEqual(result.choices.length, 1);
-      assert.strictEqual(result.choices[0].message.role, 'assistant');
-      assert.strictEqual(result.choices[0].message.content, 'Hello! How can I help you today?');
-      assert.strictEqual(result.choices[0].finish_reason, 'stop');
+      const health = await breaking.healthCheck();
+      assert.strictEqual(health.healthy, false);
+      assert.strictEqual(health.circuitBreakers.find(status => status.key === 'devstral-latest').state, 'open');
     });
 
-    it('should handle multi-message conversations', () => {
-      const request = {
-        model: 'mistral-large-latest',
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant.' },
-          { role: 'user', content: 'Hello!' },
-          { role: 'assistant', content: 'Hi there! How can I help?' },
-          { role: 'user', content: 'What is the capital of France?' }
-        ]
-      };
+    it('should let a limited number of probes through when half-open and close on success', async () => {
+      const breaking = new MistralTransformer({ circuitBreakerThreshold: 1, circuitBreakerCooldown: 20 });
 
-      const result = transformer.transformRequestIn(request, mockProvider, {});
+      await roundTrip(breaking, 'devstral-latest', 503);
+      await new Promise(resolve => setTimeout(resolve, 30));
 
-      assert.strictEqual(result.messages.length, 4);
-      assert.strictEqual(result.messages[0].role, 'system');
-      assert.strictEqual(result.messages[1].role, 'user');
-      assert.strictEqual(result.messages[2].role, 'assistant');
-      assert.strictEqual(result.messages[3].role, 'user');
+      const probeContext = { req: { id: 'req-probe' } };
+      await breaking.transformRequestIn(request('devstral-latest'), mockProvider, probeContext);
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'half_open');
+
+      await assert.rejects(
+        breaking.transformRequestIn(request('devstral-latest'), mockProvider, {}),
+        { type: 'CIRCUIT_OPEN_ERROR' }
+      );
+
+      await breaking.transformResponseIn(jsonResponse({
+        id: 'cmpl-probe',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Ok' }, finish_reason: 'stop' }]
+      }), probeContext);
+
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'closed');
+      assert.deepStrictEqual((await breaking.healthCheck()).circuitBreakers.map(status => status.state), ['closed']);
     });
-  });
 
-  describe('Tool Calling Functionality', () => {
-    it('should transform request with tools', () => {
-      const request = {
-        model: 'devstral-latest',
-        messages: [
-          { role: 'user', content: 'What\'s the weather like in Paris?' }
-        ],
-        tools: [
-          {
-            type: 'function',
-            function: {
-              name: 'get_weather',
-              description: 'Get the current weather in a location',
-              parameters: {
-                type: 'object',
-                properties: {
-                  location: {
-                    type: 'string',
-                    description: 'The city and country'
-                  }
-                },
-                required: ['location']
-              }
-            }
-          }
-        ]
-      };
+    it('should reopen when a half-open probe fails', async () => {
+      const breaking = new MistralTransformer({ circuitBreakerThreshold: 1, circuitBreakerCooldown: 20 });
 
-      const result = transformer.transformRequestIn(request, mockProvider, {});
+      await roundTrip(breaking, 'devstral-latest', 503);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await roundTrip(breaking, 'devstral-latest', 504);
 
-      assert.ok(result.tools, 'Tools should be present');
-      assert.strictEqual(result.tools.length, 1);
-      assert.strictEqual(result.tools[0].type, 'function');
-      assert.strictEqual(result.tools[0].function.name, 'get_weather');
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'open');
     });
 
-    it('should transform response with tool calls', () => {
-      const response = {
-        id: 'chatcmpl-tool-123',
-        object: 'chat.completion',
-        model: 'devstral-latest',
-        choices: [
-          {
-            index: 0,
-            message: {
-              role: 'assistant',
-              content: '',
-              tool_calls: [
-                {
-                  id: 'call_123',
-                  type: 'function',
-                  function: {
-                    name: 'get_weather',
-                    arguments: '{"location":"Paris, France"}'
-                  }
-                }
-              ]
-            },
-            finish_reason: 'tool_calls'
+    it('should count admitted requests that never get a response as failures', async () => {
+      // CCR throws on 5xx and 429 before any response transformer runs
+      const breaking = new MistralTransformer({
+        circuitBreakerThreshold: 2,
+        circuitBreakerResponseTimeout: 20,
+        forceUpstreamStreaming: true
+      });
+
+      await breaking.transformRequestIn(request('devstral-latest'), mockProvider, { req: { id: 'req-lost-1' } });
+      await breaking.transformRequestIn(request('devstral-latest'), mockProvider, { req: { id: 'req-lost-2' } });
+      assert.strictEqual(breaking.requestStates.size, 2);
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      await assert.rejects(
+        breaking.transformRequestIn(request('devstral-latest'), mockProvider, { req: { id: 'req-lost-3' } }),
+        { type: 'CIRCUIT_OPEN_ERROR' }
+      );
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'open');
+      // A late response still finds its request state; maxTrackedRequests bounds it
+      assert.strictEqual(breaking.requestStates.size, 2);
+      assert.strictEqual(breaking.pendingCircuitAdmissions.size, 0);
+    });
+
+    it('should not keep request state for admitted requests', async () => {
+      const breaking = new MistralTransformer();
+
+      for (let i = 0; i < 5; i++) {
+        await breaking.transformRequestIn(request('devstral-latest'), mockProvider, { req: { id: `req-plain-${i}` } });
+      }
+
+      assert.strictEqual(breaking.requestStates.size, 0);
+    });
+
+    it('should give back the half-open probe when a request hook throws', async () => {
+      let failHook = true;
+      const breaking = new MistralTransformer({
+        circuitBreakerThreshold: 1,
+        circuitBreakerCooldown: 20,
+        requestHooks: [() => {
+          if (failHook) {
+            throw new Error('Token budget lookup failed');
           }
-        ],
-        usage: {
-          prompt_tokens: 25,
-          completion_tokens: 30,
-          total_tokens: 55
-        }
-      };
+        }]
+      });
 
-      const result = transformer.transformResponseIn(response, {});
+      failHook = false;
+      await roundTrip(breaking, 'devstral-latest', 503);
+      await new Promise(resolve => setTimeout(resolve, 30));
 
-      assert.ok(result.choices[0].message.tool_calls);
-      assert.strictEqual(result.choices[0].message.tool_calls.length, 1);
-      assert.strictEqual(result.choices[0].message.tool_calls[0].function.name, 'get_weather');
-      assert.strictEqual(result.choices[0].finish_reason, 'tool_calls');
+      failHook = true;
+      await assert.rejects(
+        breaking.transformRequestIn(request('devstral-latest'), mockProvider, { req: { id: 'req-hook' } }),
+        /Token budget lookup failed/
+      );
+
+      failHook = false;
+      await breaking.transformRequestIn(request('devstral-latest'), mockProvider, { req: { id: 'req-after-hook' } });
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'half_open');
     });
 
-    it('should transform tool calling conversation flow', () => {
-      const request = {
-        model: 'devstral-latest',
-        messages: [
-          { role: 'user', content: 'What\'s the weather like in Paris?' },
-          {
-            role: 'assistant',
-            content: null,
-            tool_calls: [
-              {
-                id: 'call_123',
-                function: {
-                  name: 'get_weather',
-                  arguments: JSON.stringify({ location: 'Paris, France' })
-                }
-              }
-            ]
-          },
-          {
-            role: 'tool',
-            tool_call_id: 'call_123',
-            content: 'Sunny, 22°C'
+    it('should settle a streamed probe when its headers arrive and ignore a client cancel', async () => {
+      const breaking = new MistralTransformer({ circuitBreakerThreshold: 1, circuitBreakerCooldown: 20 });
+
+      await roundTrip(breaking, 'devstral-latest', 503);
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      const probeContext = { req: { id: 'req-stream-probe' } };
+      await breaking.transformRequestIn(request('devstral-latest'), mockProvider, probeContext);
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'half_open');
+
+      const response = await breaking.transformResponseOut(sseResponse([
+        'data: {"id":"cmpl-c","choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n'
+      ]), probeContext);
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'closed');
+
+      await response.body.cancel(new Error('client disconnected'));
+      assert.strictEqual(breaking.exportState().circuitBreakers[0].failureCount, 0);
+      assert.strictEqual(breaking.pendingCircuitAdmissions.size, 0);
+    });
+
+    it('should count a stream that stalls after its headers as a failure', async () => {
+      const breaking = new MistralTransformer({
+        circuitBreakerThreshold: 1,
+        streamIdleTimeout: 30,
+        streamKeepaliveInterval: 0
+      });
+      const context = { req: { id: 'req-stalled-stream' } };
+      const encoder = new TextEncoder();
+      // The watchdog timers are unref'd; stand in for the open upstream socket
+      const socketStandIn = setInterval(() => {}, 1000);
+
+      try {
+        await breaking.transformRequestIn(request('devstral-latest'), mockProvider, context);
+        const response = await breaking.transformResponseIn(new Response(new ReadableStream({
+          start(controller) {
+            controller.enqueue(encoder.encode('data: {"id":"cmpl-stall","choices":[{"index":0,"delta":{"content":"Half"}}]}\n\n'));
           }
-        ]
-      };
+        }), { headers: { 'Content-Type': 'text/event-stream' } }), context);
 
-      const result = transformer.transformRequestIn(request, mockProvider, {});
+        assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'closed');
+        await response.text();
+        assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'open');
+      } finally {
+        clearInterval(socketStandIn);
+      }
+    });
 
-      assert.strictEqual(result.messages.length, 3);
-      assert.strictEqual(result.messages[1].role, 'assistant');
-      assert.strictEqual(result.messages[2].role, 'tool');
+    it('should not count a stream that outlives the response timeout as unanswered', async () => {
+      const breaking = new MistralTransformer({
+        circuitBreakerThreshold: 1,
+        circuitBreakerResponseTimeout: 20,
+        streamKeepaliveInterval: 0
+      });
+      const context = { req: { id: 'req-long-stream' } };
+      const encoder = new TextEncoder();
+      let upstream;
+
+      const mistralRequest = await breaking.transformRequestIn({
+        ...request('devstral-latest'),
+        tools: [{ type: 'function', function: { name: 'mcp.fs/read_file', parameters: { type: 'object', properties: {} } } }]
+      }, mockProvider, context);
+      const mistralName = mistralRequest.tools[0].function.name;
+
+      const response = await breaking.transformResponseIn(new Response(new ReadableStream({
+        start(controller) {
+          upstream = controller;
+        }
+      }), { headers: { 'Content-Type': 'text/event-stream' } }), context);
+      const text = response.text();
+
+      // Another request arrives while the stream is still running past the response timeout
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await breaking.transformRequestIn(request('devstral-latest'), mockProvider, { req: { id: 'req-during-stream' } });
+      assert.strictEqual(stateOf(breaking, 'devstral-latest'), 'closed');
+      assert.ok(breaking.requestStates.get('req-long-stream').toolNameMap);
+
+      upstream.enqueue(encoder.encode(`data: ${JSON.stringify({
+        id: 'cmpl-long',
+        choices: [{
+          index: 0,
+          delta: { tool_calls: [{ index: 0, id: 'Abc123xyz', function: { name: mistralName, arguments: '{}' } }] },
+          finish_reason: 'tool_calls'
+        }]
+      })}\n\ndata: [DONE]\n\n`));
+      upstream.close();
+
+      const toolCalls = parseSSE(await text)
+        .filter(event => event !== '[DONE]')
+        .flatMap(event => event.choices[0]?.delta.tool_calls || []);
+      assert.strictEqual(toolCalls[0].function.name, 'mcp.fs/read_file');
+      assert.strictEqual(breaking.exportState().circuitBreakers[0].failureCount, 0);
     });
   });
 
   describe('Streaming Scenarios', () => {
-    it('should handle streaming requests', () => {
+    it('should handle streaming requests', async () => {
       const request = {
         model: 'devstral-latest',
         messages: [{ role: 'user', content: 'Tell me a story' }],
         stream: true
       };
 
-      const result = transformer.transformRequestIn(request, mockProvider, {});
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
 
       assert.strictEqual(result.stream, true);
     });
 
-    it('should transform streaming response chunks', () => {
+    it('should transform streaming response chunks', async () => {
       const streamingChunk = {
         id: 'chatcmpl-stream-123',
         object: 'chat.completion.chunk',
@@ -245,13 +1985,146 @@ describe('Mistral Transformer Integration Tests', () => {
         ]
       };
 
-      const result = transformer.transformResponseIn(streamingChunk, { stream: true });
+      const result = await transformer.transformResponseIn(streamingChunk, { stream: true });
 
       assert.ok(Array.isArray(result), 'Streaming response should return array');
       assert.ok(result.length > 0, 'Streaming chunks should not be empty');
     });
 
-    it('should handle streaming completion', () => {
+    it('should assemble streamed tool call fragments incrementally', async () => {
+      const sse = (choice) => `data: ${JSON.stringify({ id: 'cmpl-tools', model: 'devstral-latest', choices: [choice] })}\n\n`;
+      const response = sseResponse([
+        sse({ index: 0, delta: { role: 'assistant', tool_calls: [{ index: 0, id: 'Abc123xyz', function: { name: 'Read', arguments: '' } }] } }),
+        sse({ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"file_path":' } }] } }),
+        sse({ index: 0, delta: { tool_calls: [{ index: 1, function: { arguments: '{"pattern":' } }] } }),
+        sse({ index: 0, delta: { tool_calls: [{ index: 1, id: 'Def456uvw', function: { name: 'Grep' } }] } }),
+        sse({ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"a.txt"}' } }, { index: 1, function: { arguments: '"x"}' } }] } }),
+        sse({ index: 0, delta: { tool_calls: [{ index: 2, id: 'Ghi789rst', function: { name: 'LS' } }] } }),
+        sse({ index: 0, delta: {}, finish_reason: 'tool_calls' }),
+        'data: [DONE]\n\n'
+      ]);
+
+      const result = await transformer.transformResponseIn(response, { req: { id: 'req-stream-tools' } });
+      const events = parseSSE(await result.text()).filter(event => event !== '[DONE]');
+      const toolDeltas = events.flatMap(event => event.choices[0].delta.tool_calls || []);
+
+      assert.deepStrictEqual(toolDeltas, [
+        { index: 0, id: 'Abc123xyz', type: 'function', function: { name: 'Read', arguments: '' } },
+        { index: 0, function: { arguments: '{"file_path":' } },
+        { index: 1, id: 'Def456uvw', type: 'function', function: { name: 'Grep', arguments: '{"pattern":' } },
+        { index: 0, function: { arguments: '"a.txt"}' } },
+        { index: 1, function: { arguments: '"x"}' } },
+        { index: 2, id: 'Ghi789rst', type: 'function', function: { name: 'LS', arguments: '' } },
+        { index: 2, function: { arguments: '{}' } }
+      ]);
+      assert.ok(!JSON.stringify(events).includes('unknown'));
+      assert.strictEqual(events[events.length - 1].choices[0].finish_reason, 'tool_calls');
+    });
+
+    it('should warn when streamed tool call arguments are not valid JSON', async () => {
+      const warnings = [];
+      const warnTransformer = new MistralTransformer({}, {
+        debug: () => {},
+        info: () => {},
+        warn: (message, metadata) => warnings.push({ message, metadata }),
+        error: () => {}
+      });
+      const context = { req: { id: 'req-invalid-args' } };
+
+      await warnTransformer.transformResponseIn({
+        model: 'devstral-latest',
+        choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'Abc123xyz', function: { name: 'Read', arguments: '{"a" 1}' } }] } }]
+      }, context);
+      await warnTransformer.transformResponseIn({
+        model: 'devstral-latest',
+        choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }]
+      }, context);
+
+      const warning = warnings.find(entry => entry.message === 'Could not repair malformed tool call arguments');
+      assert.ok(warning);
+      assert.strictEqual(warning.metadata.original, '{"a" 1}');
+    });
+
+    it('should keep one completion id, model and created time across a stream', async () => {
+      const response = sseResponse([
+        'data: {"id":"cmpl-1","model":"devstral-latest","created":1700000000,"choices":[{"index":0,"delta":{"role":"assistant","content":"Hel"}}]}\n\n',
+        'data: {"id":"cmpl-1","model":"devstral-latest","created":1700000001,"choices":[{"index":0,"delta":{"role":"assistant","content":"lo"}}]}\n\n',
+        'data: {"choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text())
+        .filter(event => event !== '[DONE]');
+
+      assert.strictEqual(events.length, 3);
+      events.forEach(event => {
+        assert.strictEqual(event.id, 'cmpl-1');
+        assert.strictEqual(event.model, 'devstral-latest');
+        assert.strictEqual(event.created, 1700000000);
+      });
+      assert.deepStrictEqual(
+        events.map(event => event.choices[0].delta.role),
+        ['assistant', undefined, undefined]
+      );
+    });
+
+    it('should share one session across chunk-by-chunk calls and finalize on [DONE]', async () => {
+      const context = { req: { id: 'req-session' } };
+
+      const first = await transformer.transformResponseIn({
+        id: 'cmpl-2',
+        model: 'devstral-latest',
+        created: 1700000000,
+        choices: [{ index: 0, delta: { content: 'Partial' } }]
+      }, context);
+      const second = await transformer.transformResponseIn({
+        model: 'devstral-latest',
+        created: 1700000005,
+        choices: [{ index: 0, delta: { content: ' text [TOOL' } }]
+      }, context);
+      const done = await transformer.transformResponseIn({ data: '[DONE]' }, context);
+
+      assert.strictEqual(first[0].id, 'cmpl-2');
+      assert.strictEqual(second[0].id, 'cmpl-2');
+      assert.strictEqual(second[0].created, 1700000000);
+      assert.strictEqual(second[0].delta.role, undefined);
+      assert.strictEqual(second[0].delta.content, ' text ');
+
+      // The held-back text is flushed with a closing chunk before the done chunk
+      assert.strictEqual(done.length, 2);
+      assert.strictEqual(done[0].delta.content, '[TOOL');
+      assert.strictEqual(done[0].finish_reason, 'stop');
+      assert.strictEqual(done[1].event, 'done');
+      assert.strictEqual(done[1].id, 'cmpl-2');
+      assert.strictEqual(transformer.requestStates.has('req-session'), false);
+    });
+
+    it('should close a choice with pending tool calls as tool_calls when the stream ends', async () => {
+      const response = sseResponse([
+        'data: {"id":"cmpl-4","choices":[{"index":0,"delta":{"tool_calls":[{"id":"abc123def","index":0,"function":{"name":"Read","arguments":"{\\"file_path\\":"}}]}}]}\n\n',
+        'data: {"id":"cmpl-4","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"a.txt\\"}"}}]}}]}\n\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+      const closing = events.filter(event => event !== '[DONE]').at(-1);
+
+      assert.strictEqual(closing.choices[0].finish_reason, 'tool_calls');
+    });
+
+    it('should finalize the session on a streamed error', async () => {
+      const response = sseResponse([
+        'data: {"id":"cmpl-3","choices":[{"index":0,"delta":{"content":"Partial [TOOL"}}]}\n\n',
+        'data: {"error":{"message":"Upstream failure","type":"server_error"}}\n\n'
+      ]);
+
+      const events = parseSSE(await (await transformer.transformResponseIn(response, {})).text());
+
+      assert.strictEqual(events.length, 2);
+      assert.strictEqual(events[0].choices[0].delta.content, 'Partial ');
+      assert.strictEqual(events[1].error.message, 'Upstream failure');
+    });
+
+    it('should handle streaming completion', async () => {
       const finalChunk = {
         id: 'chatcmpl-stream-123',
         object: 'chat.completion.chunk',
@@ -265,7 +2138,7 @@ describe('Mistral Transformer Integration Tests', () => {
         ]
       };
 
-      const result = transformer.transformResponseIn(finalChunk, { stream: true });
+      const result = await transformer.transformResponseIn(finalChunk, { stream: true });
 
       assert.ok(Array.isArray(result));
       if (result.length > 0) {
@@ -278,7 +2151,7 @@ describe('Mistral Transformer Integration Tests', () => {
   });
 
   describe('Error Handling and Edge Cases', () => {
-    it('should handle error responses', () => {
+    it('should handle error responses', async () => {
       const errorResponse = {
         error: {
           message: 'Invalid API key',
@@ -288,49 +2161,49 @@ describe('Mistral Transformer Integration Tests', () => {
         }
       };
 
-      const result = transformer.transformResponseIn(errorResponse, {});
+      const result = await transformer.transformResponseIn(errorResponse, {});
 
       assert.ok(result.error, 'Error response should contain error object');
       assert.strictEqual(result.error.message, 'Invalid API key');
       assert.strictEqual(result.error.code, 500);
     });
 
-    it('should reject invalid request formats', () => {
+    it('should reject invalid request formats', async () => {
       const invalidRequest = {
         model: 'devstral-latest',
         messages: [] // Empty messages array
       };
 
-      assert.throws(
+      await assert.rejects(
         () => transformer.transformRequestIn(invalidRequest, mockProvider, {}),
         /non-empty array/
       );
     });
 
-    it('should handle invalid model names by converting to unknown', () => {
+    it('should pass unrecognized model names through for Mistral to reject', async () => {
       const request = {
         model: 'invalid-model-name',
         messages: [{ role: 'user', content: 'Hello' }]
       };
 
-      const result = transformer.transformRequestIn(request, mockProvider, {});
-      assert.strictEqual(result.model, 'unknown');
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
+      assert.strictEqual(result.model, 'invalid-model-name');
     });
 
-    it('should validate parameter ranges', () => {
+    it('should validate parameter ranges', async () => {
       const request = {
         model: 'devstral-latest',
         messages: [{ role: 'user', content: 'Hello' }],
         temperature: 3.0 // Out of range
       };
 
-      assert.throws(
+      await assert.rejects(
         () => transformer.transformRequestIn(request, mockProvider, {}),
         /must be between/
       );
     });
 
-    it('should handle malformed responses gracefully', () => {
+    it('should handle malformed responses gracefully', async () => {
       const malformedResponse = {
         choices: [
           {
@@ -342,7 +2215,7 @@ describe('Mistral Transformer Integration Tests', () => {
         ]
       };
 
-      const result = transformer.transformResponseIn(malformedResponse, {});
+      const result = await transformer.transformResponseIn(malformedResponse, {});
 
       assert.ok(result);
       assert.strictEqual(result.choices[0].message.content, '');
@@ -350,7 +2223,7 @@ describe('Mistral Transformer Integration Tests', () => {
   });
 
   describe('Advanced Parameter Usage', () => {
-    it('should support advanced Mistral parameters', () => {
+    it('should support advanced Mistral parameters', async () => {
       const request = {
         model: 'devstral-latest',
         messages: [{ role: 'user', content: 'Hello' }],
@@ -362,21 +2235,21 @@ describe('Mistral Transformer Integration Tests', () => {
         randomSeed: 42
       };
 
-      const result = transformer.transformRequestIn(request, mockProvider, {});
+      const result = await transformer.transformRequestIn(request, mockProvider, {});
 
       assert.strictEqual(result.temperature, 0.5);
       assert.strictEqual(result.top_p, 0.9);
       // Note: safePrompt and randomSeed are Mistral-specific and may be handled differently
     });
 
-    it('should apply parameter validation', () => {
+    it('should apply parameter validation', async () => {
       const request = {
         model: 'devstral-latest',
         messages: [{ role: 'user', content: 'Hello' }],
         maxTokens: 32001 // Above limit
       };
 
-      assert.throws(
+      await assert.rejects(
         () => transformer.transformRequestIn(request, mockProvider, {}),
         /max_tokens.*must be between/
       );
@@ -384,13 +2257,13 @@ describe('Mistral Transformer Integration Tests', () => {
   });
 
   describe('Performance Monitoring', () => {
-    it('should track request count', () => {
+    it('should track request count', async () => {
       const request = {
         model: 'devstral-latest',
         messages: [{ role: 'user', content: 'Test' }]
       };
 
-      transformer.transformRequestIn(request, mockProvider, {});
+      await transformer.transformRequestIn(request, mockProvider, {});
 
       // Check if performance metrics are being tracked
       // Note: This might require accessing internal state or exposing metrics
@@ -426,7 +2299,7 @@ describe('Mistral Transformer Integration Tests', () => {
   });
 
   describe('End-to-End Pipeline', () => {
-    it('should complete full request-response cycle', () => {
+    it('should complete full request-response cycle', async () => {
       const request = {
         model: 'devstral-latest',
         messages: [
@@ -435,7 +2308,7 @@ describe('Mistral Transformer Integration Tests', () => {
         maxTokens: 50
       };
 
-      const mistralRequest = transformer.transformRequestIn(request, mockProvider, {});
+      const mistralRequest = await transformer.transformRequestIn(request, mockProvider, {});
 
       const mockResponse = {
         id: 'chatcmpl-test-123',
@@ -458,21 +2331,21 @@ describe('Mistral Transformer Integration Tests', () => {
         }
       };
 
-      const unifiedResponse = transformer.transformResponseIn(mockResponse, {});
+      const unifiedResponse = await transformer.transformResponseIn(mockResponse, {});
 
       assert.ok(mistralRequest);
       assert.ok(unifiedResponse);
       assert.strictEqual(unifiedResponse.choices[0].message.content, '2+2 equals 4');
     });
 
-    it('should handle streaming end-to-end', () => {
+    it('should handle streaming end-to-end', async () => {
       const streamingRequest = {
         model: 'devstral-latest',
         messages: [{ role: 'user', content: 'Tell me a short story' }],
         stream: true
       };
 
-      const mistralRequest = transformer.transformRequestIn(streamingRequest, mockProvider, {});
+      const mistralRequest = await transformer.transformRequestIn(streamingRequest, mockProvider, {});
 
       const streamingChunks = [
         {
@@ -513,13 +2386,308 @@ describe('Mistral Transformer Integration Tests', () => {
         }
       ];
 
-      const unifiedChunks = streamingChunks.map(chunk =>
+      const unifiedChunks = await Promise.all(streamingChunks.map(chunk =>
         transformer.transformResponseIn(chunk, { stream: true })
-      );
+      ));
 
       assert.strictEqual(unifiedChunks.length, 3);
       assert.ok(Array.isArray(unifiedChunks[0]));
     });
   });
-});
 
+  describe('Module Packaging', () => {
+    it('should expose the same class to ESM and CommonJS consumers', () => {
+      const CommonJSTransformer = require('./mistral.cjs');
+
+      assert.strictEqual(CommonJSTransformer, MistralTransformer);
+      assert.strictEqual(require('mistral-transformer'), MistralTransformer);
+    });
+  });
+
+  describe('Async Pipeline', () => {
+    const request = {
+      model: 'devstral-latest',
+      messages: [{ role: 'user', content: 'Hello' }]
+    };
+
+    it('should return promises from the interface methods', async () => {
+      const pending = transformer.transformRequestIn(request, mockProvider, {});
+
+      assert.ok(pending instanceof Promise);
+      assert.strictEqual((await pending).messages[0].content, 'Hello');
+    });
+
+    it('should reject instead of throwing synchronously', async () => {
+      let pending;
+      assert.doesNotThrow(() => {
+        pending = transformer.transformRequestIn({ model: 'devstral-latest', messages: [] }, mockProvider, {});
+      });
+
+      await assert.rejects(pending, /non-empty array/);
+    });
+
+    it('should keep a synchronous compatibility path', () => {
+      const result = transformer.transformRequestInSync(request, mockProvider, {});
+      assert.strictEqual(result.messages[0].content, 'Hello');
+
+      const response = transformer.transformResponseInSync({
+        choices: [{ message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }]
+      }, {});
+      assert.strictEqual(response.choices[0].message.content, 'Hi');
+
+      assert.throws(
+        () => transformer.transformRequestInSync({ model: 'devstral-latest', messages: [] }, mockProvider, {}),
+        /non-empty array/
+      );
+    });
+
+    it('should await asynchronous request and response hooks', async () => {
+      const hooked = new MistralTransformer({
+        requestHooks: [async mistralRequest => ({ ...mistralRequest, random_seed: 7 })],
+        responseHooks: [async unified => { unified.cached = true; }]
+      });
+
+      const result = await hooked.transformRequestIn(request, mockProvider, {});
+      assert.strictEqual(result.random_seed, 7);
+
+      const response = await hooked.transformResponseIn({
+        choices: [{ message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }]
+      }, {});
+      assert.strictEqual(response.cached, true);
+
+      assert.throws(
+        () => hooked.transformRequestInSync(request, mockProvider, {}),
+        /asynchronous hooks/
+      );
+    });
+  });
+
+  describe('Authentication', () => {
+    const body = { model: 'devstral-latest', messages: [] };
+
+    it('should build a Bearer header from the provider key', async () => {
+      const result = await transformer.auth(body, { name: 'mistral', apiKey: 'key-one' }, {});
+
+      assert.strictEqual(result.body, body);
+      assert.strictEqual(result.config.headers.Authorization, 'Bearer key-one');
+    });
+
+    it('should rotate comma-separated keys round-robin', async () => {
+      const provider = { name: 'mistral', apiKey: 'key-one, key-two,key-three' };
+      const used = [];
+
+      for (let i = 0; i < 4; i++) {
+        const result = await transformer.auth(body, provider, {});
+        used.push(result.config.headers.Authorization);
+      }
+
+      assert.deepStrictEqual(used, [
+        'Bearer key-one', 'Bearer key-two', 'Bearer key-three', 'Bearer key-one'
+      ]);
+    });
+
+    it('should bench a key whose 429 response is handed to transformResponseIn', async () => {
+      const provider = { name: 'mistral', apiKey: 'key-one,key-two' };
+      const context = { req: { id: 'req-rate-limited' } };
+      const rotating = new MistralTransformer();
+
+      const first = await rotating.auth(body, provider, context);
+      await rotating.transformResponseIn(jsonResponse({ message: 'Too many requests' }, 429), context);
+      const second = await rotating.auth(body, provider, { req: { id: 'req-after-bench' } });
+      const third = await rotating.auth(body, provider, { req: { id: 'req-still-benched' } });
+
+      assert.strictEqual(first.config.headers.Authorization, 'Bearer key-one');
+      assert.strictEqual(second.config.headers.Authorization, 'Bearer key-two');
+      assert.strictEqual(third.config.headers.Authorization, 'Bearer key-two');
+      assert.strictEqual(rotating.exportState().benchedApiKeys.length, 1);
+    });
+
+    it('should attach the provider key to transformed requests with attachAuthHeader', async () => {
+      const attaching = new MistralTransformer({ attachAuthHeader: true });
+      const result = await attaching.transformRequestIn(
+        { model: 'devstral-latest', messages: [{ role: 'user', content: 'Hi' }] },
+        { name: 'mistral', apiKey: 'key-one' },
+        {}
+      );
+
+      assert.strictEqual(result.body.model, 'devstral-latest');
+      assert.deepStrictEqual(result.config, { headers: { Authorization: 'Bearer key-one' } });
+    });
+
+    it('should return the plain Mistral body by default whatever the environment holds', async () => {
+      const previous = process.env.MISTRAL_API_KEY;
+      process.env.MISTRAL_API_KEY = 'env-key-one';
+
+      try {
+        const request = { model: 'devstral-latest', messages: [{ role: 'user', content: 'Hi' }] };
+        const result = await transformer.transformRequestIn(request, { name: 'mistral', apiKey: 'key-one' }, {});
+        const syncResult = transformer.transformRequestInSync(request, { name: 'mistral' }, {});
+
+        assert.strictEqual(result.model, 'devstral-latest');
+        assert.strictEqual(result.config, undefined);
+        assert.strictEqual(syncResult.model, 'devstral-latest');
+      } finally {
+        if (previous === undefined) {
+          delete process.env.MISTRAL_API_KEY;
+        } else {
+          process.env.MISTRAL_API_KEY = previous;
+        }
+      }
+    });
+
+    it('should mask provider and option keys in debug logs', async () => {
+      const logged = [];
+      const logging = new MistralTransformer(
+        { apiKey: 'secret-key-three' },
+        { debug: (message, meta) => logged.push(meta), info() {}, warn() {}, error() {} }
+      );
+
+      await logging.transformRequestIn(
+        { model: 'devstral-latest', messages: [{ role: 'user', content: 'Hi' }] },
+        { name: 'mistral', apiKey: 'secret-key-one,secret-key-two' },
+        {}
+      );
+
+      assert.ok(logged.length > 0);
+      assert.ok(!JSON.stringify(logged).includes('secret-key'));
+    });
+
+    it('should accept the auth(body, provider) call CCR makes without a context', async () => {
+      const result = await transformer.auth(body, { name: 'mistral', apiKey: 'key-one' });
+      assert.strictEqual(result.config.headers.Authorization, 'Bearer key-one');
+    });
+
+    it('should mask API keys in exported options', () => {
+      const keyed = new MistralTransformer({ apiKey: 'secret-key-one,secret-key-two' });
+      const exported = JSON.stringify(keyed.exportState());
+
+      assert.ok(!exported.includes('secret-key'));
+      assert.strictEqual(keyed.exportState().options.apiKey, '...-one,...-two');
+    });
+
+    it('should fall back to the soonest recovering key when all are benched', async () => {
+      const provider = { name: 'mistral', apiKey: 'key-one,key-two' };
+      transformer.benchedApiKeys.set('key-one', Date.now() + 60000);
+      transformer.benchedApiKeys.set('key-two', Date.now() + 1000);
+
+      const result = await transformer.auth(body, provider, {});
+      assert.strictEqual(result.config.headers.Authorization, 'Bearer key-two');
+    });
+
+    it('should reject when no key is configured', async () => {
+      await assert.rejects(
+        () => transformer.auth(body, { name: 'mistral', apiKey: '$MISTRAL_API_KEY' }, {}),
+        /missing Mistral API key/
+      );
+    });
+  });
+
+  describe('CCR Response Contract', () => {
+    // Mirrors what CCR's Anthropic endpoint transformer reads from the provider transformer's
+    // transformResponseOut result: choices[0].message for JSON, choices[0].delta per stream event
+    const readAsAnthropicEndpoint = async (response) => {
+      if (response.headers.get('content-type').includes('text/event-stream')) {
+        const chunks = parseSSE(await response.text()).filter(event => event !== '[DONE]');
+        return {
+          text: chunks.map(chunk => chunk.choices[0].delta.content || '').join(''),
+          tools: chunks.flatMap(chunk => chunk.choices[0].delta.tool_calls || [])
+            .map(call => call.function.name)
+            .filter(Boolean),
+          finishReason: chunks.map(chunk => chunk.choices[0].finish_reason).filter(Boolean).pop()
+        };
+      }
+
+      const { message, finish_reason: finishReason } = (await response.json()).choices[0];
+      return {
+        text: message.content,
+        tools: (message.tool_calls || []).map(call => call.function.name),
+        finishReason
+      };
+    };
+
+    it('should return unified responses from transformResponseOut for the Anthropic endpoint transformer', async () => {
+      const json = await transformer.transformResponseOut(jsonResponse({
+        id: 'chatcmpl-ccr',
+        model: 'devstral-latest',
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: 'Listing.',
+            tool_calls: [{ id: 'abcDEF123', function: { name: 'ls', arguments: '{}' } }]
+          },
+          finish_reason: 'tool_calls'
+        }]
+      }), { req: { id: 'req-ccr-json' } });
+
+      assert.deepStrictEqual(await readAsAnthropicEndpoint(json), {
+        text: 'Listing.',
+        tools: ['ls'],
+        finishReason: 'tool_calls'
+      });
+
+      const stream = await transformer.transformResponseOut(sseResponse([
+        'data: {"id":"chatcmpl-ccr-s","choices":[{"index":0,"delta":{"content":"Listing."}}]}\n\n',
+        'data: {"id":"chatcmpl-ccr-s","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"abcDEF123","function":{"name":"ls","arguments":"{}"}}]},"finish_reason":"tool_calls"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]), { req: { id: 'req-ccr-stream' } });
+
+      assert.deepStrictEqual(await readAsAnthropicEndpoint(stream), {
+        text: 'Listing.',
+        tools: ['ls'],
+        finishReason: 'tool_calls'
+      });
+    });
+
+    it('should transform a JSON Fetch Response into a new JSON Response', async () => {
+      const response = jsonResponse({
+        id: 'chatcmpl-fetch-123',
+        model: 'devstral-latest',
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content: 'Hello from fetch' },
+            finish_reason: 'stop'
+          }
+        ]
+      });
+
+      const result = await transformer.transformResponseIn(response, {});
+
+      assert.ok(result instanceof Response);
+      assert.match(result.headers.get('content-type'), /application\/json/);
+      const body = await result.json();
+      assert.strictEqual(body.id, 'chatcmpl-fetch-123');
+      assert.strictEqual(body.choices[0].message.content, 'Hello from fetch');
+    });
+
+    it('should transform an event-stream Fetch Response split across reads', async () => {
+      const response = sseResponse([
+        'data: {"id":"chatcmpl-s1","model":"devstral-latest","choices":[{"index":0,"delta":{"role":"assistant","content":"Hel',
+        'lo"},"finish_reason":null}]}\n\ndata: {"id":"chatcmpl-s1","choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+
+      const result = await transformer.transformResponseIn(response, {});
+
+      assert.ok(result instanceof Response);
+      assert.match(result.headers.get('content-type'), /text\/event-stream/);
+      const events = parseSSE(await result.text());
+      assert.strictEqual(events[0].object, 'chat.completion.chunk');
+      assert.strictEqual(events[0].choices[0].delta.content, 'Hello');
+      assert.strictEqual(events[1].choices[0].finish_reason, 'stop');
+      assert.strictEqual(events[events.length - 1], '[DONE]');
+    });
+
+    it('should preserve the status of error Fetch Responses', async () => {
+      const response = jsonResponse({ object: 'error', message: 'Unauthorized', type: 'invalid_request_error' }, 401);
+
+      const result = await transformer.transformResponseIn(response, {});
+
+      assert.strictEqual(result.status, 401);
+      const body = await result.json();
+      assert.strictEqual(body.error.message, 'Unauthorized');
+      assert.strictEqual(body.error.code, 401);
+    });
+  });
+});
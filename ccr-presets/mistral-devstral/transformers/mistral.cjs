@@ -0,0 +1,5461 @@
+// Mistral Transformer for Claude Code Router
+// Transforms unified Claude Code Router requests to Mistral API format
+
+const crypto = require('crypto');
+
+// JSON Schema keywords accepted by Mistral function calling, kept as-is by the tool schema sanitizer
+const SUPPORTED_SCHEMA_KEYWORDS = new Set([
+  'type', 'description', 'title', 'default', 'enum', 'nullable',
+  'properties', 'required', 'additionalProperties', 'items',
+  'anyOf', 'oneOf', 'allOf',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'minItems', 'maxItems', 'uniqueItems'
+]);
+
+// String formats Mistral understands; other formats are dropped rather than rejected upstream
+const SUPPORTED_SCHEMA_FORMATS = new Set([
+  'date-time', 'date', 'time', 'duration', 'email', 'hostname', 'ipv4', 'ipv6', 'uri', 'uuid'
+]);
+
+const SCHEMA_TYPES = new Set(['object', 'array', 'string', 'number', 'integer', 'boolean', 'null']);
+
+// Guards against self-referencing $ref chains when inlining definitions
+const MAX_SCHEMA_DEPTH = 32;
+
+// Mistral function names must match ^[a-zA-Z0-9_-]{1,64}$
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// Turns inserted by the message-sequence normalizer to satisfy Mistral's role ordering
+const TOOL_BRIDGE_CONTENT = 'Tool results received.';
+const CONTINUATION_CONTENT = 'Continue.';
+
+// Result synthesized for tool calls whose result is missing from the history
+const CANCELLED_TOOL_RESULT = 'Tool call was cancelled.';
+
+// Control tokens Devstral sometimes leaks into message text
+const TOOL_CALLS_TOKEN = '[TOOL_CALLS]';
+const LEAKED_SPECIAL_TOKENS = [
+  '<s>', '</s>', '<unk>', '[INST]', '[/INST]', '[AVAILABLE_TOOLS]', '[/AVAILABLE_TOOLS]',
+  '[TOOL_RESULTS]', '[/TOOL_RESULTS]', '[TOOL_CONTENT]', '[SYSTEM_PROMPT]', '[/SYSTEM_PROMPT]'
+];
+
+// Runs of leaked tokens at the start or end of a text; the same strings mid-text (HTML, code) are kept
+const SPECIAL_TOKEN_ALTERNATION = LEAKED_SPECIAL_TOKENS
+  .map(token => token.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+  .join('|');
+const LEADING_SPECIAL_TOKENS = new RegExp(`^(?:\\s*(?:${SPECIAL_TOKEN_ALTERNATION}))+`);
+const TRAILING_SPECIAL_TOKENS = new RegExp(`(?:(?:${SPECIAL_TOKEN_ALTERNATION})\\s*)+$`);
+
+// Upstream statuses that count as failures for the model's circuit breaker
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// Unified finish reasons mapped to Anthropic Messages stop reasons
+const ANTHROPIC_STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  model_length: 'max_tokens',
+  tool_calls: 'tool_use',
+  content_filter: 'refusal',
+  error: 'end_turn'
+};
+
+// Model prefixes known to accept native content chunks; other models get flattened strings by default
+const DEFAULT_MODEL_CONTENT_FORMATS = {
+  'devstral': 'array',
+  'magistral': 'array',
+  'mistral-large': 'array',
+  'mistral-medium': 'array',
+  'mistral-small': 'array',
+  'pixtral': 'array'
+};
+
+const ORPHANED_TOOL_CALL_POLICIES = ['synthesize', 'strip'];
+const ORPHANED_TOOL_RESULT_POLICIES = ['strip', 'convert'];
+
+module.exports = class MistralTransformer {
+  constructor(options = {}, logger = console) {
+    this.name = 'mistral';
+    this.options = options;
+    this.logger = this._setupLogger(logger);
+
+    // Configure transformer options with advanced defaults
+    this.maxTokens = options.maxTokens || 4096;
+    this.temperature = options.temperature || 0.7;
+    this.topP = options.topP || 1.0;
+
+    // Advanced Mistral-specific parameters
+    this.safePrompt = options.safePrompt !== undefined ? Boolean(options.safePrompt) : false;
+    this.randomSeed = options.randomSeed !== undefined ? Number(options.randomSeed) : null;
+    this.frequencyPenalty = options.frequencyPenalty !== undefined ? Number(options.frequencyPenalty) : 0.0;
+    this.presencePenalty = options.presencePenalty !== undefined ? Number(options.presencePenalty) : 0.0;
+    this.responseFormat = options.responseFormat || 'text';
+
+    // Advanced configuration options
+    this.timeout = options.timeout || 30000;
+    this.maxRetries = options.maxRetries !== undefined ? Number(options.maxRetries) : 3;
+    this.retryDelay = options.retryDelay || 1000;
+    this.circuitBreakerThreshold = options.circuitBreakerThreshold || 5;
+    this.circuitBreakerCooldown = options.circuitBreakerCooldown || 30000;
+    this.circuitBreakerHalfOpenProbes = options.circuitBreakerHalfOpenProbes || 1;
+    this.circuitBreakerResponseTimeout = options.circuitBreakerResponseTimeout || 120000;
+
+    // Long-lived circuit breakers keyed by model, shared by every request to that model
+    this.circuitBreakers = new Map();
+
+    // Admitted requests still waiting for a response, keyed by request ID. CCR throws on non-2xx
+    // responses before any transformer sees them, so an admission that is never answered counts
+    // as a failure once circuitBreakerResponseTimeout has passed
+    this.pendingCircuitAdmissions = new Map();
+
+    // Streaming watchdog: abort streams with no first chunk or a stall between chunks,
+    // and send SSE comment keepalives downstream while the stream is quiet (0 disables each)
+    this.firstByteTimeout = options.firstByteTimeout !== undefined ? Number(options.firstByteTimeout) : this.timeout;
+    this.streamIdleTimeout = options.streamIdleTimeout !== undefined ? Number(options.streamIdleTimeout) : this.timeout;
+    this.streamKeepaliveInterval = options.streamKeepaliveInterval !== undefined
+      ? Number(options.streamKeepaliveInterval)
+      : 15000;
+
+    // Vision support: models accepting image_url parts and Mistral's per-request limits
+    this.visionModels = Array.isArray(options.visionModels)
+      ? options.visionModels
+      : ['mistral-large', 'mistral-medium', 'mistral-small', 'pixtral'];
+    this.maxImagesPerRequest = options.maxImagesPerRequest || 8;
+    this.maxImageBytes = options.maxImageBytes || 10 * 1024 * 1024;
+
+    // Content format: 'string' flattens text blocks, 'array' sends native content chunks
+    // Configured per-model formats are layered over the chunk-capable defaults
+    this.contentFormat = options.contentFormat === 'array' ? 'array' : 'string';
+    this.modelContentFormats = options.modelContentFormats && typeof options.modelContentFormats === 'object'
+      ? { ...DEFAULT_MODEL_CONTENT_FORMATS, ...options.modelContentFormats }
+      : { ...DEFAULT_MODEL_CONTENT_FORMATS };
+
+    // Reasoning support: model name prefixes that accept Magistral's prompt_mode
+    this.reasoningModels = Array.isArray(options.reasoningModels) ? options.reasoningModels : ['magistral'];
+
+    // API key rotation: keys benched after 401/429 map to the time they become usable again
+    this.apiKeyCooldown = options.apiKeyCooldown || 60000;
+    this.attachAuthHeader = options.attachAuthHeader === true;
+    this.apiKeyCursor = 0;
+    this.benchedApiKeys = new Map();
+
+    // Orphaned tool calls/results left by compaction or interrupted turns
+    this.orphanedToolCalls = ORPHANED_TOOL_CALL_POLICIES.includes(options.orphanedToolCalls)
+      ? options.orphanedToolCalls
+      : 'synthesize';
+    this.orphanedToolResults = ORPHANED_TOOL_RESULT_POLICIES.includes(options.orphanedToolResults)
+      ? options.orphanedToolResults
+      : 'strip';
+
+    // Rewrite message order to satisfy Mistral's role sequencing rules
+    this.normalizeMessages = options.normalizeMessages !== false;
+
+    // Repair malformed tool call arguments (trailing commas, single quotes, truncation)
+    this.repairToolArguments = options.repairToolArguments !== false;
+
+    // Stream non-streaming requests upstream and aggregate them into one completion:
+    // true for every model, or a list of model name prefixes
+    this.forceUpstreamStreaming = options.forceUpstreamStreaming === true || Array.isArray(options.forceUpstreamStreaming)
+      ? options.forceUpstreamStreaming
+      : false;
+
+    // transformResponseOut emits Anthropic Messages instead of unified responses; only for
+    // callers without an Anthropic endpoint transformer after this one in the chain
+    this.anthropicOutput = options.anthropicOutput === true;
+
+    // Bidirectional tool call ID mapping for Mistral's 9-character ID rule
+    this.toolIdMapper = this._createToolIdMapper(options.maxToolIdMappings || 10000);
+
+    // Per-request state shared between transformRequestIn, auth and transformResponseIn
+    this.requestStates = new Map();
+    this.maxTrackedRequests = options.maxTrackedRequests || 1000;
+
+    // Async-capable pipeline hooks (token counting, cache lookups, etc.)
+    // Response hooks see complete responses only; event-stream bodies are not passed through them
+    this.requestHooks = Array.isArray(options.requestHooks) ? options.requestHooks : [];
+    this.responseHooks = Array.isArray(options.responseHooks) ? options.responseHooks : [];
+
+    // Performance monitoring
+    this.performanceMetrics = {
+      totalRequests: 0,
+      successfulRequests: 0,
+      failedRequests: 0,
+      averageResponseTime: 0,
+      toolArgumentRepairs: 0,
+      toolArgumentRepairFailures: 0,
+      firstByteTimeouts: 0,
+      streamIdleTimeouts: 0,
+      tokenUsageByModel: {}
+    };
+
+    this.logger.debug('MistralTransformer initialized with advanced features', { options: this._getExportableOptions() });
+  }
+
+  /**
+   * Setup logger with structured logging support
+   * @private
+   */
+  _setupLogger(logger) {
+    const structuredLogger = {
+      transformer: 'mistral',
+      version: '1.2.0'
+    };
+
+    if (typeof logger === 'function') {
+      return {
+        debug: (message, ...args) => logger('DEBUG', structuredLogger, message, ...args),
+        info: (message, ...args) => logger('INFO', structuredLogger, message, ...args),
+        warn: (message, ...args) => logger('WARN', structuredLogger, message, ...args),
+        error: (message, ...args) => logger('ERROR', structuredLogger, message, ...args)
+      };
+    }
+
+    // Enhanced console logger with structured format
+    if (logger === console) {
+      return {
+        debug: (message, metadata) => console.debug(`[MISTRAL-TRANSFORMER] DEBUG: ${message}`, this._formatMetadata(metadata)),
+        info: (message, metadata) => console.info(`[MISTRAL-TRANSFORMER] INFO: ${message}`, this._formatMetadata(metadata)),
+        warn: (message, metadata) => console.warn(`[MISTRAL-TRANSFORMER] WARN: ${message}`, this._formatMetadata(metadata)),
+        error: (message, metadata) => console.error(`[MISTRAL-TRANSFORMER] ERROR: ${message}`, this._formatMetadata(metadata))
+      };
+    }
+
+    // Ensure logger has all necessary methods
+    return {
+      debug: logger.debug || console.debug,
+      info: logger.info || console.info,
+      warn: logger.warn || console.warn,
+      error: logger.error || console.error
+    };
+  }
+
+  /**
+   * Format metadata for structured logging
+   * @private
+   */
+  _formatMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+      return {};
+    }
+
+    // Remove circular references and limit data size
+    const sanitized = {};
+
+    Object.keys(metadata).slice(0, 10).forEach(key => { // Limit to 10 keys
+      const value = metadata[key];
+
+      if (typeof value === 'string' && value.length > 100) {
+        sanitized[key] = value.substring(0, 100) + '...';
+      } else if (typeof value === 'object' && value !== null) {
+        sanitized[key] = '[Object]';
+      } else {
+        sanitized[key] = value;
+      }
+    });
+
+    return sanitized;
+  }
+
+  /**
+   * Get transformer configuration
+   * @returns {Object} Configuration object
+   */
+  getConfiguration() {
+    return {
+      version: '1.2.0',
+      advancedFeatures: {
+        safePrompt: this.safePrompt,
+        randomSeed: this.randomSeed,
+        responseFormat: this.responseFormat,
+        timeout: this.timeout,
+        maxRetries: this.maxRetries,
+        retryDelay: this.retryDelay,
+        circuitBreakerThreshold: this.circuitBreakerThreshold,
+        circuitBreakerCooldown: this.circuitBreakerCooldown,
+        circuitBreakerHalfOpenProbes: this.circuitBreakerHalfOpenProbes,
+        circuitBreakerResponseTimeout: this.circuitBreakerResponseTimeout,
+        firstByteTimeout: this.firstByteTimeout,
+        streamIdleTimeout: this.streamIdleTimeout,
+        streamKeepaliveInterval: this.streamKeepaliveInterval,
+        apiKeyCooldown: this.apiKeyCooldown,
+        attachAuthHeader: this.attachAuthHeader,
+        visionModels: this.visionModels,
+        maxImagesPerRequest: this.maxImagesPerRequest,
+        maxImageBytes: this.maxImageBytes,
+        reasoningModels: this.reasoningModels,
+        contentFormat: this.contentFormat,
+        modelContentFormats: this.modelContentFormats,
+        repairToolArguments: this.repairToolArguments,
+        normalizeMessages: this.normalizeMessages,
+        orphanedToolCalls: this.orphanedToolCalls,
+        orphanedToolResults: this.orphanedToolResults,
+        forceUpstreamStreaming: this.forceUpstreamStreaming,
+        anthropicOutput: this.anthropicOutput
+      },
+      performance: this.getPerformanceMetrics(),
+      supportedParameters: [
+        'temperature', 'top_p', 'max_tokens', 'frequency_penalty', 'presence_penalty',
+        'safe_prompt', 'random_seed', 'response_format', 'tool_choice', 'parallel_tool_calls', 'prompt_mode'
+      ]
+    };
+  }
+
+  /**
+   * Update transformer configuration
+   * @param {Object} newConfig - New configuration options
+   */
+  updateConfiguration(newConfig) {
+    if (newConfig.maxTokens !== undefined) {
+      this.maxTokens = Number(newConfig.maxTokens);
+    }
+    if (newConfig.temperature !== undefined) {
+      this.temperature = Number(newConfig.temperature);
+    }
+    if (newConfig.topP !== undefined) {
+      this.topP = Number(newConfig.topP);
+    }
+    if (newConfig.safePrompt !== undefined) {
+      this.safePrompt = Boolean(newConfig.safePrompt);
+    }
+    if (newConfig.randomSeed !== undefined) {
+      this.randomSeed = Number(newConfig.randomSeed);
+    }
+    if (newConfig.responseFormat !== undefined) {
+      this.responseFormat = newConfig.responseFormat;
+    }
+    if (newConfig.timeout !== undefined) {
+      this.timeout = Number(newConfig.timeout);
+    }
+    if (newConfig.maxRetries !== undefined) {
+      this.maxRetries = Number(newConfig.maxRetries);
+    }
+    if (newConfig.retryDelay !== undefined) {
+      this.retryDelay = Number(newConfig.retryDelay);
+    }
+    if (newConfig.circuitBreakerThreshold !== undefined) {
+      this.circuitBreakerThreshold = Number(newConfig.circuitBreakerThreshold);
+    }
+    if (newConfig.circuitBreakerCooldown !== undefined) {
+      this.circuitBreakerCooldown = Number(newConfig.circuitBreakerCooldown);
+    }
+    if (newConfig.circuitBreakerHalfOpenProbes !== undefined) {
+      this.circuitBreakerHalfOpenProbes = Number(newConfig.circuitBreakerHalfOpenProbes);
+    }
+    if (newConfig.circuitBreakerResponseTimeout !== undefined) {
+      this.circuitBreakerResponseTimeout = Number(newConfig.circuitBreakerResponseTimeout);
+    }
+    if (newConfig.firstByteTimeout !== undefined) {
+      this.firstByteTimeout = Number(newConfig.firstByteTimeout);
+    }
+    if (newConfig.streamIdleTimeout !== undefined) {
+      this.streamIdleTimeout = Number(newConfig.streamIdleTimeout);
+    }
+    if (newConfig.streamKeepaliveInterval !== undefined) {
+      this.streamKeepaliveInterval = Number(newConfig.streamKeepaliveInterval);
+    }
+    if (newConfig.contentFormat !== undefined) {
+      this.contentFormat = newConfig.contentFormat === 'array' ? 'array' : 'string';
+    }
+    if (newConfig.modelContentFormats !== undefined) {
+      this.modelContentFormats = { ...DEFAULT_MODEL_CONTENT_FORMATS, ...newConfig.modelContentFormats };
+    }
+    if (newConfig.apiKeyCooldown !== undefined) {
+      this.apiKeyCooldown = Number(newConfig.apiKeyCooldown);
+    }
+    if (newConfig.attachAuthHeader !== undefined) {
+      this.attachAuthHeader = Boolean(newConfig.attachAuthHeader);
+    }
+    if (newConfig.repairToolArguments !== undefined) {
+      this.repairToolArguments = Boolean(newConfig.repairToolArguments);
+    }
+    if (newConfig.normalizeMessages !== undefined) {
+      this.normalizeMessages = Boolean(newConfig.normalizeMessages);
+    }
+    if (ORPHANED_TOOL_CALL_POLICIES.includes(newConfig.orphanedToolCalls)) {
+      this.orphanedToolCalls = newConfig.orphanedToolCalls;
+    }
+    if (ORPHANED_TOOL_RESULT_POLICIES.includes(newConfig.orphanedToolResults)) {
+      this.orphanedToolResults = newConfig.orphanedToolResults;
+    }
+    if (newConfig.forceUpstreamStreaming !== undefined) {
+      this.forceUpstreamStreaming = newConfig.forceUpstreamStreaming === true ||
+        Array.isArray(newConfig.forceUpstreamStreaming)
+        ? newConfig.forceUpstreamStreaming
+        : false;
+    }
+    if (newConfig.anthropicOutput !== undefined) {
+      this.anthropicOutput = newConfig.anthropicOutput === true;
+    }
+
+    this.logger.info('Transformer configuration updated', { newConfig });
+  }
+
+  /**
+   * Create a circuit breaker for one model
+   * Closed: requests pass and consecutive failures are counted. Open: requests are rejected until
+   * circuitBreakerCooldown has passed. Half-open: up to circuitBreakerHalfOpenProbes requests are let
+   * through; a successful probe closes the breaker and a failed one opens it again
+   * @private
+   */
+  _createCircuitBreaker(key = 'default') {
+    let state = 'closed';
+    let failureCount = 0;
+    let lastFailureTime = 0;
+    let openedAt = 0;
+    let probesInFlight = 0;
+    let lastProbeTime = 0;
+
+    const transition = (nextState, reason) => {
+      const previousState = state;
+      state = nextState;
+      probesInFlight = 0;
+
+      if (nextState === 'open') {
+        openedAt = Date.now();
+      }
+
+      this.logger[nextState === 'open' ? 'warn' : 'info']('Circuit breaker state changed', {
+        key,
+        from: previousState,
+        to: nextState,
+        reason,
+        failureCount,
+        threshold: this.circuitBreakerThreshold
+      });
+    };
+
+    return {
+      shouldAllowRequest: () => {
+        const now = Date.now();
+
+        if (state === 'open') {
+          if (now - openedAt < this.circuitBreakerCooldown) {
+            return false;
+          }
+          transition('half_open', 'cool-down elapsed');
+        }
+
+        if (state === 'half_open') {
+          // Probes whose outcome never arrived (abandoned requests) stop blocking after a cool-down
+          if (probesInFlight >= this.circuitBreakerHalfOpenProbes && now - lastProbeTime >= this.circuitBreakerCooldown) {
+            probesInFlight = 0;
+          }
+
+          if (probesInFlight >= this.circuitBreakerHalfOpenProbes) {
+            return false;
+          }
+
+          probesInFlight++;
+          lastProbeTime = now;
+        }
+
+        return true;
+      },
+
+      recordFailure: (reason = 'request failed') => {
+        failureCount++;
+        lastFailureTime = Date.now();
+
+        if (state === 'half_open') {
+          transition('open', `probe failed: ${reason}`);
+        } else if (state === 'closed' && failureCount >= this.circuitBreakerThreshold) {
+          transition('open', `consecutive failures: ${reason}`);
+        }
+      },
+
+      recordSuccess: () => {
+        failureCount = 0;
+
+        if (state === 'half_open') {
+          transition('closed', 'probe succeeded');
+        }
+      },
+
+      // Give back a probe slot whose request ended without an outcome
+      releaseProbe: () => {
+        if (state === 'half_open' && probesInFlight > 0) {
+          probesInFlight--;
+        }
+      },
+
+      isHalfOpen: () => state === 'half_open',
+
+      getRetryAfter: () => (state === 'open' ? Math.max(0, openedAt + this.circuitBreakerCooldown - Date.now()) : 0),
+
+      getStatus: () => ({
+        key,
+        state,
+        circuitOpen: state === 'open',
+        failureCount,
+        lastFailureTime,
+        openedAt,
+        probesInFlight,
+        threshold: this.circuitBreakerThreshold,
+        cooldown: this.circuitBreakerCooldown,
+        halfOpenProbes: this.circuitBreakerHalfOpenProbes
+      })
+    };
+  }
+
+  /**
+   * Get (creating on first use) the long-lived circuit breaker for a model
+   * @private
+   */
+  _getCircuitBreaker(key) {
+    const breakerKey = key || 'default';
+
+    if (!this.circuitBreakers.has(breakerKey)) {
+      this.circuitBreakers.set(breakerKey, this._createCircuitBreaker(breakerKey));
+    }
+
+    return this.circuitBreakers.get(breakerKey);
+  }
+
+  /**
+   * Admit a request through its model's circuit breaker, rejecting it while the breaker is open
+   * The admission is tracked by request ID until its outcome is recorded or it is released
+   * @private
+   */
+  _admitCircuitBreakerRequest(request, context) {
+    this._expireCircuitBreakerAdmissions();
+
+    const key = request.model || 'default';
+    const breaker = this._getCircuitBreaker(key);
+
+    if (!breaker.shouldAllowRequest()) {
+      throw this._createCircuitOpenError(key, breaker.getRetryAfter(), request, context);
+    }
+
+    const requestKey = this._getRequestKey(context);
+    if (requestKey === null) {
+      return;
+    }
+
+    this.pendingCircuitAdmissions.set(requestKey, {
+      key,
+      probe: breaker.isHalfOpen(),
+      admittedAt: Date.now()
+    });
+
+    // Forget the oldest admissions if far more requests are in flight than expected
+    while (this.pendingCircuitAdmissions.size > this.maxTrackedRequests) {
+      this._releaseCircuitBreakerAdmission({ requestId: this.pendingCircuitAdmissions.keys().next().value });
+    }
+  }
+
+  /**
+   * Report an upstream outcome to the request's circuit breaker and settle its admission;
+   * a null reason records success
+   * @private
+   */
+  _recordCircuitBreakerOutcome(context, failureReason = null) {
+    const requestKey = this._getRequestKey(context);
+    const admission = requestKey !== null ? this.pendingCircuitAdmissions.get(requestKey) : null;
+    const key = admission?.key || context?.model;
+    if (!key) {
+      return null;
+    }
+
+    if (admission) {
+      this.pendingCircuitAdmissions.delete(requestKey);
+    }
+
+    const breaker = this._getCircuitBreaker(key);
+    if (failureReason) {
+      breaker.recordFailure(failureReason);
+    } else {
+      breaker.recordSuccess();
+    }
+
+    return breaker;
+  }
+
+  /**
+   * Drop a pending admission without an outcome, giving back its half-open probe slot
+   * Used when the request fails before it is sent or the client cancels the stream
+   * @private
+   */
+  _releaseCircuitBreakerAdmission(context) {
+    const requestKey = this._getRequestKey(context);
+    const admission = requestKey !== null ? this.pendingCircuitAdmissions.get(requestKey) : null;
+    if (!admission) {
+      return;
+    }
+
+    this.pendingCircuitAdmissions.delete(requestKey);
+    if (admission.probe) {
+      this._getCircuitBreaker(admission.key).releaseProbe();
+    }
+  }
+
+  /**
+   * Count admissions that never got a response as failures
+   * Request state is left alone: a late response still needs it, and maxTrackedRequests bounds it
+   * @private
+   */
+  _expireCircuitBreakerAdmissions() {
+    const now = Date.now();
+
+    for (const [requestKey, admission] of this.pendingCircuitAdmissions) {
+      if (now - admission.admittedAt < this.circuitBreakerResponseTimeout) {
+        continue;
+      }
+
+      this.pendingCircuitAdmissions.delete(requestKey);
+      this._getCircuitBreaker(admission.key).recordFailure('no response');
+
+      this.logger.warn('No response received for admitted Mistral request', {
+        key: admission.key,
+        waited: now - admission.admittedAt
+      });
+    }
+  }
+
+  /**
+   * Create a deterministic mapper between client tool call IDs and Mistral-compliant IDs
+   * Mistral requires IDs of exactly 9 alphanumeric characters; the same original ID always
+   * maps to the same Mistral ID, so tool_calls and tool_call_id stay paired across a conversation
+   * @private
+   */
+  _createToolIdMapper(maxEntries) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    const forward = new Map();
+    const reverse = new Map();
+
+    const hashId = (value) => {
+      const digest = crypto.createHash('sha256').update(value).digest();
+      let id = '';
+      for (let i = 0; i < 9; i++) {
+        id += alphabet[digest[i] % alphabet.length];
+      }
+      return id;
+    };
+
+    const remember = (originalId, mistralId) => {
+      forward.set(originalId, mistralId);
+      reverse.set(mistralId, originalId);
+
+      while (forward.size > maxEntries) {
+        const [oldestOriginal, oldestMistral] = forward.entries().next().value;
+        forward.delete(oldestOriginal);
+        reverse.delete(oldestMistral);
+      }
+    };
+
+    return {
+      isCompliant: (id) => /^[a-zA-Z0-9]{9}$/.test(String(id)),
+
+      toMistral: (originalId) => {
+        const id = String(originalId);
+
+        if (/^[a-zA-Z0-9]{9}$/.test(id)) {
+          return id;
+        }
+
+        if (forward.has(id)) {
+          return forward.get(id);
+        }
+
+        // Re-hash with a salt in the unlikely case of a collision with another original ID
+        let salt = 0;
+        let candidate = hashId(id);
+        while (reverse.has(candidate) && reverse.get(candidate) !== id) {
+          salt++;
+          candidate = hashId(`${id}:${salt}`);
+        }
+
+        remember(id, candidate);
+        return candidate;
+      },
+
+      toOriginal: (mistralId) => {
+        const id = String(mistralId);
+        return reverse.has(id) ? reverse.get(id) : id;
+      },
+
+      getStatus: () => ({
+        mappings: forward.size,
+        maxEntries
+      })
+    };
+  }
+
+  /**
+   * Transform unified Claude Code Router request to Mistral API format
+   * @param {Object} request - Unified request object
+   * @param {string} provider - Provider configuration
+   * @param {Object} context - Context information
+   * @returns {Promise<Object>} Transformed Mistral API request, wrapped as { body, config } carrying
+   *   the Authorization header when an API key is configured
+   */
+  async transformRequestIn(request, provider, context) {
+    const startTime = Date.now();
+
+    try {
+      this.performanceMetrics.totalRequests++;
+
+      const mistralRequest = await this._runHooks(
+        this.requestHooks,
+        this._buildMistralRequest(request, provider, context),
+        { request, provider, context }
+      );
+
+      // Admit once the hooks succeeded, so a failing hook never holds a half-open probe slot
+      this._admitCircuitBreakerRequest(mistralRequest, context);
+
+      return this._withAuthConfig(this._completeRequestTransformation(mistralRequest, startTime), provider, context);
+    } catch (error) {
+      throw this._failRequestTransformation(error, request, context, startTime);
+    }
+  }
+
+  /**
+   * Synchronous compatibility path for transformRequestIn
+   * Request hooks must be synchronous when called through this method
+   * @param {Object} request - Unified request object
+   * @param {string} provider - Provider configuration
+   * @param {Object} context - Context information
+   * @returns {Object} Transformed Mistral API request
+   */
+  transformRequestInSync(request, provider, context) {
+    const startTime = Date.now();
+
+    try {
+      this.performanceMetrics.totalRequests++;
+
+      const mistralRequest = this._runHooksSync(
+        this.requestHooks,
+        this._buildMistralRequest(request, provider, context),
+        { request, provider, context }
+      );
+
+      this._admitCircuitBreakerRequest(mistralRequest, context);
+
+      return this._withAuthConfig(this._completeRequestTransformation(mistralRequest, startTime), provider, context);
+    } catch (error) {
+      throw this._failRequestTransformation(error, request, context, startTime);
+    }
+  }
+
+  /**
+   * Build the Mistral API request from a unified request
+   * @private
+   */
+  _buildMistralRequest(request, provider, context) {
+    this.logger.debug('Transforming request to Mistral format', {
+      request: JSON.stringify(request, null, 2),
+      provider: provider && typeof provider === 'object' ? this._maskApiKeyFields(provider) : provider,
+      context
+    });
+
+    // Advanced request validation with detailed error messages
+    this._validateRequestWithContext(request, context);
+
+    // Declared tools claim their sanitized names before names found in message history
+    const toolNameMap = this._createToolNameMap();
+    (request.tools || []).forEach(tool => {
+      if (tool?.function?.name) {
+        toolNameMap.toMistral(tool.function.name);
+      }
+    });
+
+    // Create base Mistral request with validated fields only
+    const mistralRequest = {
+      model: request.model,
+      messages: this._transformMessages(request.messages, request.model, toolNameMap),
+      temperature: this._validateParameter(request.temperature, this.temperature, 'temperature', 0, 2),
+      top_p: this._validateParameter(request.topP, this.topP, 'top_p', 0, 1),
+      max_tokens: this._validateParameter(request.maxTokens, this.maxTokens, 'max_tokens', 1, 32000),
+      stream: Boolean(request.stream)
+    };
+
+    // Every tool call needs a matching result directly after it, and every result a call
+    mistralRequest.messages = this._reconcileToolMessages(mistralRequest.messages);
+
+    if (this.normalizeMessages) {
+      mistralRequest.messages = this._normalizeMessageSequence(mistralRequest.messages);
+    }
+
+    // Add optional Mistral-supported parameters with validation
+    this._addOptionalParameters(mistralRequest, request);
+
+    // Map unified reasoning settings to Magistral's reasoning mode
+    this._addReasoningParameters(mistralRequest, request);
+
+    // Handle tool calls if present
+    if (request.tools && request.tools.length > 0) {
+      mistralRequest.tools = this._transformTools(request.tools, toolNameMap);
+    }
+
+    // Tool choice needs the transformed tools to check forced tool names
+    this._addToolChoiceParameters(mistralRequest, request, toolNameMap);
+
+    // Keep the reverse map so responses show Claude Code its original tool names
+    const renames = toolNameMap.getRenames();
+    if (renames.length > 0) {
+      this.logger.debug('Sanitized tool names for Mistral', { renames });
+
+      const state = this._getRequestState(context, true);
+      if (state) {
+        state.toolNameMap = toolNameMap;
+      }
+    }
+
+    // Stream upstream for latency or keepalive, then answer the client with one aggregated completion
+    if (!mistralRequest.stream && this._shouldForceUpstreamStreaming(request.model)) {
+      const state = this._getRequestState(context, true);
+      if (state) {
+        state.aggregateStream = true;
+        mistralRequest.stream = true;
+      } else {
+        this.logger.debug('Upstream streaming not forced: request has no ID to aggregate the response by', {
+          model: request.model
+        });
+      }
+    }
+
+    // Remove any undefined values to prevent 422 errors
+    this._cleanRequest(mistralRequest);
+
+    return mistralRequest;
+  }
+
+  /**
+   * Check whether non-streaming requests for a model are streamed upstream and aggregated
+   * @private
+   */
+  _shouldForceUpstreamStreaming(model) {
+    if (this.forceUpstreamStreaming === true) {
+      return true;
+    }
+
+    const modelName = String(model || '');
+    return Array.isArray(this.forceUpstreamStreaming) &&
+      this.forceUpstreamStreaming.some(prefix => modelName.startsWith(prefix));
+  }
+
+  /**
+   * Record metrics and log a successful request transformation
+   * @private
+   */
+  _completeRequestTransformation(mistralRequest, startTime) {
+    const processingTime = Date.now() - startTime;
+    this._updatePerformanceMetrics(true, processingTime);
+
+    this.logger.info('Request transformation completed successfully', {
+      processingTime,
+      mistralRequest: { ...mistralRequest, messages: `[${mistralRequest.messages?.length || 0} messages]` }
+    });
+
+    return mistralRequest;
+  }
+
+  /**
+   * Record metrics and categorize a failed request transformation
+   * @private
+   */
+  _failRequestTransformation(error, request, context, startTime) {
+    // The request is never sent, so nothing will report its outcome
+    this._releaseCircuitBreakerAdmission(context);
+    this._clearRequestState(context);
+
+    // Enhanced error handling with categorization
+    const processingTime = Date.now() - startTime;
+    this._updatePerformanceMetrics(false, processingTime);
+
+    const categorizedError = this._categorizeError(error, request, context);
+
+    this.logger.error('Request transformation failed', {
+      error: categorizedError.message,
+      errorType: categorizedError.type,
+      requestId: request.id,
+      processingTime,
+      stack: categorizedError.stack,
+      recoverable: categorizedError.recoverable
+    });
+
+    return categorizedError;
+  }
+
+  /**
+   * Run transformation hooks, awaiting each one in order
+   * A hook may return a replacement payload or undefined to keep the current one
+   * @private
+   */
+  async _runHooks(hooks, payload, hookContext) {
+    let current = payload;
+
+    for (const hook of hooks) {
+      const result = await hook(current, hookContext);
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Run transformation hooks synchronously for the compatibility path
+   * @private
+   */
+  _runHooksSync(hooks, payload, hookContext) {
+    let current = payload;
+
+    for (const hook of hooks) {
+      const result = hook(current, hookContext);
+      if (result && typeof result.then === 'function') {
+        throw new Error('Invalid hook: asynchronous hooks require the async transformer methods');
+      }
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Build the upstream Authorization header from the provider's Mistral API key
+   * Claude Code Router calls this as auth(body, provider) on endpoint transformers only
+   * @param {Object} request - Transformed Mistral request body
+   * @param {Object} provider - Provider configuration
+   * @param {Object} [context] - Context information
+   * @returns {Promise<Object>} Request body and config carrying the Authorization header
+   */
+  async auth(request, provider, context) {
+    const headers = this._selectAuthHeaders(provider, context, true);
+
+    if (!headers) {
+      throw this._createValidationError('Invalid provider: missing Mistral API key', request || {}, context);
+    }
+
+    return { body: request, config: { headers } };
+  }
+
+  /**
+   * Attach the selected API key to a transformed request as CCR request config
+   * CCR only calls auth() on endpoint transformers, so with attachAuthHeader the key is picked here;
+   * otherwise, or without a configured key, the bare request is returned and CCR sends the
+   * provider's api_key itself
+   * @private
+   */
+  _withAuthConfig(mistralRequest, provider, context) {
+    if (!this.attachAuthHeader) {
+      return mistralRequest;
+    }
+
+    const headers = this._selectAuthHeaders(provider, context, false);
+    return headers ? { body: mistralRequest, config: { headers } } : mistralRequest;
+  }
+
+  /**
+   * Select the next API key and build the Authorization header, or return null without a key
+   * @private
+   */
+  _selectAuthHeaders(provider, context, createState) {
+    const apiKeys = this._parseApiKeys(provider);
+
+    if (apiKeys.length === 0) {
+      return null;
+    }
+
+    const apiKey = this._selectApiKey(apiKeys);
+
+    const state = this._getRequestState(context, createState);
+    if (state) {
+      state.apiKey = apiKey;
+    }
+
+    this.logger.debug('Selected Mistral API key', {
+      apiKey: this._maskApiKey(apiKey),
+      availableKeys: apiKeys.length
+    });
+
+    return { Authorization: `Bearer ${apiKey}` };
+  }
+
+  /**
+   * Parse the provider API key setting into a list of keys
+   * @private
+   */
+  _parseApiKeys(provider) {
+    const rawKeys = provider?.apiKey || provider?.api_key || this.options.apiKey || '';
+
+    return String(rawKeys)
+      .split(',')
+      .map(key => key.trim())
+      .filter(key => key && !key.startsWith('$'));
+  }
+
+  /**
+   * Select the next usable API key in round-robin order
+   * @private
+   */
+  _selectApiKey(apiKeys) {
+    const now = Date.now();
+
+    for (let attempt = 0; attempt < apiKeys.length; attempt++) {
+      const index = this.apiKeyCursor % apiKeys.length;
+      this.apiKeyCursor = index + 1;
+
+      const key = apiKeys[index];
+      const benchedUntil = this.benchedApiKeys.get(key);
+
+      if (benchedUntil === undefined) {
+        return key;
+      }
+
+      if (benchedUntil <= now) {
+        this.benchedApiKeys.delete(key);
+        this.logger.info('Mistral API key returned to rotation', { apiKey: this._maskApiKey(key) });
+        return key;
+      }
+    }
+
+    // Every key is benched: fall back to the one that recovers first
+    const soonestKey = apiKeys.reduce((best, key) =>
+      this.benchedApiKeys.get(key) < this.benchedApiKeys.get(best) ? key : best
+    );
+
+    this.logger.warn('All Mistral API keys are benched, using the key that recovers first', {
+      apiKey: this._maskApiKey(soonestKey),
+      benchedUntil: new Date(this.benchedApiKeys.get(soonestKey)).toISOString()
+    });
+
+    return soonestKey;
+  }
+
+  /**
+   * Bench the API key used for a request when Mistral answers 401 or 429
+   * CCR throws on non-2xx responses before any transformer sees them, so under CCR this never
+   * fires and keys only rotate round-robin; direct callers that pass the response to
+   * transformResponseIn get the benching
+   * @private
+   */
+  _recordApiKeyOutcome(response, context) {
+    const apiKey = this._getRequestState(context)?.apiKey;
+
+    if (!apiKey || (response.status !== 401 && response.status !== 429)) {
+      return;
+    }
+
+    const retryAfter = this._parseRetryAfter(response.headers.get('retry-after'));
+    const cooldown = Math.max(this.apiKeyCooldown, retryAfter || 0);
+    this.benchedApiKeys.set(apiKey, Date.now() + cooldown);
+
+    this.logger.warn('Benched Mistral API key after upstream rejection', {
+      apiKey: this._maskApiKey(apiKey),
+      status: response.status,
+      cooldown
+    });
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   * @private
+   */
+  _parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Mask an API key for logging
+   * @private
+   */
+  _maskApiKey(apiKey) {
+    return apiKey.length > 8 ? `...${apiKey.slice(-4)}` : '***';
+  }
+
+  /**
+   * Resolve the key identifying a request across transformer calls
+   * @private
+   */
+  _getRequestKey(context) {
+    return context?.req?.id ?? context?.requestId ?? context?.req ?? null;
+  }
+
+  /**
+   * Get (optionally creating) the per-request transformer state
+   * @private
+   */
+  _getRequestState(context, create = false) {
+    const key = this._getRequestKey(context);
+    if (key === null) {
+      return null;
+    }
+
+    let state = this.requestStates.get(key);
+    if (!state && create) {
+      state = { createdAt: Date.now() };
+      this.requestStates.set(key, state);
+
+      // Drop the oldest entries if responses never arrived for them
+      while (this.requestStates.size > this.maxTrackedRequests) {
+        this.requestStates.delete(this.requestStates.keys().next().value);
+      }
+    }
+
+    return state || null;
+  }
+
+  /**
+   * Release the per-request transformer state once the response is done
+   * @private
+   */
+  _clearRequestState(context) {
+    const key = this._getRequestKey(context);
+    if (key !== null) {
+      this.requestStates.delete(key);
+    }
+  }
+
+  /**
+   * Transform Mistral API response to unified Claude Code Router format
+   * @param {Response|Object} response - Fetch Response from CCR, Mistral API response or SSE chunk
+   * @param {Object} context - Context information
+   * @returns {Promise<Response|Object|Array>} New Response for Fetch responses, otherwise
+   *   the transformed unified response or array of SSE chunks
+   */
+  async transformResponseIn(response, context) {
+    // Claude Code Router hands us the raw Fetch Response from the provider
+    if (this._isFetchResponse(response)) {
+      return this._transformFetchResponse(response, context || {});
+    }
+
+    return this._runHooks(
+      this.responseHooks,
+      this._transformResponseObject(response, context),
+      { response, context }
+    );
+  }
+
+  /**
+   * Synchronous compatibility path for transformResponseIn
+   * Accepts parsed response objects and raw SSE strings only
+   * @param {Object|string} response - Mistral API response or SSE chunk
+   * @param {Object} context - Context information
+   * @returns {Object|Array} Transformed unified response or array of SSE chunks
+   */
+  transformResponseInSync(response, context) {
+    if (this._isFetchResponse(response)) {
+      throw this._createValidationError(
+        'Invalid response: Fetch Responses require the async transformResponseIn',
+        { id: context?.requestId },
+        context
+      );
+    }
+
+    return this._runHooksSync(
+      this.responseHooks,
+      this._transformResponseObject(response, context),
+      { response, context }
+    );
+  }
+
+  /**
+   * Provider response hook: Claude Code Router passes the raw Mistral Response here and hands
+   * the result to its endpoint transformer, which reads unified choices. By default this is the
+   * same conversion as transformResponseIn; with anthropicOutput, the unified result of that
+   * conversion is then encoded in the Anthropic Messages format
+   * @param {Response|Object} response - Mistral Fetch Response or response object
+   * @param {Object} context - Context information
+   * @returns {Promise<Response|Object|Array>} Unified response, or the Anthropic response with anthropicOutput
+   */
+  async transformResponseOut(response, context) {
+    const unified = await this.transformResponseIn(response, context);
+
+    if (!this.anthropicOutput) {
+      return unified;
+    }
+
+    if (this._isFetchResponse(unified)) {
+      return this._transformFetchResponseOut(unified, context || {});
+    }
+
+    try {
+      return this._toAnthropicMessage(unified, context);
+    } catch (error) {
+      const categorizedError = this._categorizeError(error, { id: context?.requestId }, context);
+
+      this.logger.error('Anthropic response transformation failed', {
+        error: categorizedError.message,
+        errorType: categorizedError.type
+      });
+
+      throw categorizedError;
+    }
+  }
+
+  /**
+   * Transform a parsed Mistral response object or raw SSE string
+   * @private
+   */
+  _transformResponseObject(response, context) {
+    const startTime = Date.now();
+
+    try {
+      this.logger.debug('Transforming Mistral response to unified format', {
+        response: JSON.stringify(response, null, 2),
+        context
+      });
+
+      // Handle streaming SSE chunks
+      if (this._isSSEChunk(response) || (context && context.stream)) {
+        const chunks = this._transformSSEChunk(response, context);
+        this._logResponseTransformation('streaming', startTime, chunks.length);
+        return chunks;
+      }
+
+      // Handle error responses first
+      if (this._isErrorResponse(response)) {
+        // Check if we're in streaming context
+        if (context.stream || this._isSSEChunk(response)) {
+          const streamingError = this._transformStreamingErrorResponse(response, context);
+          this._logResponseTransformation('streaming_error', startTime, 1);
+          return [streamingError]; // Return as array for consistency
+        }
+        const errorResponse = this._transformErrorResponse(response, context);
+        this._logResponseTransformation('error', startTime, 1);
+        return errorResponse;
+      }
+
+      // Advanced response structure validation
+      this._validateResponseStructureWithContext(response, context);
+
+      const unifiedResponse = {
+        id: this._getResponseId(response),
+        object: 'chat.completion',
+        created: this._getCreatedTimestamp(response),
+        model: response.model,
+        usage: this._transformUsage(response.usage),
+        choices: this._transformChoices(response.choices, context)
+      };
+
+      if (response.usage) {
+        this._recordTokenUsage(unifiedResponse.model || context?.model, unifiedResponse.usage);
+      }
+
+      // Add provider-specific metadata with advanced features
+      unifiedResponse.provider = {
+        name: 'mistral',
+        type: 'api',
+        responseType: this._getResponseType(response),
+        advancedFeatures: this._getResponseAdvancedFeatures(response)
+      };
+
+      // Handle streaming responses if needed
+      if (response.stream || context.stream) {
+        unifiedResponse.stream = true;
+      }
+
+      // Add performance metadata
+      unifiedResponse.performance = {
+        processingTime: Date.now() - startTime,
+        transformerVersion: '1.2.0'
+      };
+
+      this.logger.info('Response transformation completed successfully', {
+        processingTime: Date.now() - startTime,
+        responseType: unifiedResponse.provider.responseType,
+        choices: unifiedResponse.choices.length
+      });
+
+      return unifiedResponse;
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      const categorizedError = this._categorizeError(error, { id: context?.requestId }, context);
+
+      this.logger.error('Response transformation failed', {
+        error: categorizedError.message,
+        errorType: categorizedError.type,
+        processingTime,
+        stack: categorizedError.stack
+      });
+
+      throw categorizedError;
+    }
+  }
+
+  /**
+   * Log response transformation with performance metrics
+   * @private
+   */
+  _logResponseTransformation(type, startTime, count = 1) {
+    const processingTime = Date.now() - startTime;
+
+    this.logger.info(`Response transformation (${type}) completed`, {
+      processingTime,
+      count,
+      performance: this.getPerformanceMetrics()
+    });
+  }
+
+  /**
+   * Check if response is a Fetch API Response
+   * @private
+   */
+  _isFetchResponse(response) {
+    if (!response || typeof response !== 'object') {
+      return false;
+    }
+
+    if (typeof Response !== 'undefined' && response instanceof Response) {
+      return true;
+    }
+
+    return (
+      typeof response.headers?.get === 'function' &&
+      typeof response.json === 'function' &&
+      'body' in response
+    );
+  }
+
+  /**
+   * Transform a Fetch Response from the Mistral API into a new unified Response
+   * Detects JSON vs. event-stream bodies from the Content-Type header
+   * @private
+   */
+  async _transformFetchResponse(response, context) {
+    const startTime = Date.now();
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+
+    this._recordApiKeyOutcome(response, context);
+
+    // The response settles the admission as soon as its headers arrive, so a long stream is never
+    // mistaken for a request without a response; the stream watchdog reports stalls separately
+    const breaker = this._recordCircuitBreakerOutcome(
+      context,
+      RETRYABLE_STATUS_CODES.includes(response.status) ? `status ${response.status}` : null
+    );
+
+    // The client asked for a single completion but the upstream request was streamed
+    if (contentType.includes('text/event-stream') && response.body && this._shouldAggregateStream(context)) {
+      return this._aggregateFetchResponse(response, context, startTime, breaker);
+    }
+
+    if (contentType.includes('text/event-stream') && response.body) {
+      const stream = response.body.pipeThrough(this._createSSETransformStream(context, breaker));
+      this._logResponseTransformation('event-stream', startTime);
+
+      return new Response(stream, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive'
+        }
+      });
+    }
+
+    if (contentType.includes('application/json')) {
+      try {
+        const data = await response.json();
+        const payload = response.ok ? data : this._normalizeHttpError(data, response);
+        const jsonContext = { ...context, stream: false };
+        const unifiedResponse = await this._runHooks(
+          this.responseHooks,
+          this._transformResponseObject(payload, jsonContext),
+          { response: payload, context: jsonContext }
+        );
+
+        return new Response(JSON.stringify(unifiedResponse), {
+          status: response.status,
+          statusText: response.statusText,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      } finally {
+        this._clearRequestState(context);
+      }
+    }
+
+    this._clearRequestState(context);
+    this.logger.warn('Unsupported response content type, passing response through', { contentType });
+    return response;
+  }
+
+  /**
+   * Check whether a streamed response should be aggregated into one completion
+   * @private
+   */
+  _shouldAggregateStream(context) {
+    return context?.aggregateStream === true || this._getRequestState(context)?.aggregateStream === true;
+  }
+
+  /**
+   * Consume a Mistral event-stream Response and return one unified chat.completion JSON Response
+   * @private
+   */
+  async _aggregateFetchResponse(response, context, startTime, breaker = null) {
+    try {
+      const completion = await this._aggregateSSEStream(response.body, context, breaker);
+
+      if (completion.object === 'error') {
+        return new Response(JSON.stringify(completion), {
+          status: completion.error.status,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const jsonContext = { ...context, stream: false };
+      const unifiedResponse = await this._runHooks(
+        this.responseHooks,
+        completion,
+        { response: completion, context: jsonContext }
+      );
+
+      this._logResponseTransformation('aggregated-stream', startTime);
+
+      return new Response(JSON.stringify(unifiedResponse), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } finally {
+      this._clearRequestState(context);
+    }
+  }
+
+  /**
+   * Read a Mistral SSE body to the end and build a unified chat.completion from its chunks
+   * Chunks go through the regular streaming path, so tool names, IDs, argument repair and
+   * text tool call recovery apply exactly as they do for streamed responses. A stall is
+   * reported to the given breaker, the one that recorded the response headers
+   * @private
+   */
+  async _aggregateSSEStream(body, context, breaker = null) {
+    const startTime = Date.now();
+    const decoder = new TextDecoder();
+    const sseDecoder = this._createSSEDecoder();
+    const streamContext = { ...context, streamSession: this._createStreamSession() };
+    const session = streamContext.streamSession;
+    const aggregator = this._createCompletionAggregator();
+
+    const consume = (events) => {
+      for (const event of events) {
+        const payload = this._parseSSEEventPayload(event);
+
+        if (payload?.done) {
+          aggregator.add(this._finalizeStreamSession(session, streamContext));
+        } else if (payload) {
+          aggregator.add(this._parseSSEData(payload.data, streamContext));
+        }
+      }
+    };
+
+    // Cancelling the reader ends the pending read, so a stall surfaces as the end of the body
+    const reader = body.getReader();
+    let stallError = null;
+    const watchdog = this._createStreamWatchdog({
+      onTimeout: (phase, limit) => {
+        stallError = this._createStreamStallError(phase, limit, session);
+        breaker?.recordFailure(`${phase} timeout`);
+        reader.cancel(new Error(stallError.error.message)).catch(() => {});
+      }
+    });
+
+    try {
+      watchdog.start();
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        watchdog.received();
+        consume(sseDecoder.push(decoder.decode(value, { stream: true })));
+      }
+    } finally {
+      watchdog.stop();
+    }
+
+    if (stallError) {
+      return this._transformErrorResponse(stallError, context);
+    }
+
+    consume([...sseDecoder.push(decoder.decode()), ...sseDecoder.end()]);
+    aggregator.add(this._finalizeStreamSession(session, streamContext));
+
+    if (aggregator.getError()) {
+      return aggregator.getError();
+    }
+
+    const choices = aggregator.getChoices();
+    const completion = {
+      id: session.id || this._getResponseId({}),
+      object: 'chat.completion',
+      created: session.created || this._getCreatedTimestamp({}),
+      model: session.model || context?.model,
+      usage: session.usage || this._transformUsage(null),
+      choices,
+      provider: {
+        name: 'mistral',
+        type: 'api',
+        responseType: 'aggregated_stream',
+        advancedFeatures: this._getResponseAdvancedFeatures({ choices })
+      },
+      performance: {
+        processingTime: Date.now() - startTime,
+        transformerVersion: '1.2.0'
+      }
+    };
+
+    this.logger.info('Aggregated streamed response into a completion', {
+      completionId: completion.id,
+      choices: completion.choices.length,
+      toolCalls: completion.choices.reduce((count, choice) => count + (choice.message.tool_calls?.length || 0), 0)
+    });
+
+    return completion;
+  }
+
+  /**
+   * Create an aggregator that folds unified streaming chunks into chat.completion choices
+   * Tool call deltas are merged by index: the first carries the id and name, later ones argument fragments
+   * @private
+   */
+  _createCompletionAggregator() {
+    const choices = new Map();
+    let error = null;
+
+    const getChoice = (index) => {
+      if (!choices.has(index)) {
+        choices.set(index, { content: '', thinking: '', toolCalls: new Map(), finishReason: null });
+      }
+      return choices.get(index);
+    };
+
+    const addToolCall = (choice, toolCall) => {
+      const call = choice.toolCalls.get(toolCall.index) || {
+        id: toolCall.id,
+        type: 'function',
+        function: { name: '', arguments: '' }
+      };
+
+      if (toolCall.id) {
+        call.id = toolCall.id;
+      }
+      if (toolCall.function?.name) {
+        call.function.name = toolCall.function.name;
+      }
+      if (typeof toolCall.function?.arguments === 'string') {
+        call.function.arguments += toolCall.function.arguments;
+      }
+
+      choice.toolCalls.set(toolCall.index, call);
+    };
+
+    return {
+      add: (chunks) => {
+        for (const chunk of chunks) {
+          if (chunk.event === 'error') {
+            error = error || chunk.error;
+            continue;
+          }
+
+          // Usage-only chunks carry no choice; the session keeps their usage
+          if (chunk.index === undefined) {
+            continue;
+          }
+
+          const choice = getChoice(chunk.index);
+          const delta = chunk.delta || {};
+
+          if (typeof delta.content === 'string') {
+            choice.content += delta.content;
+          }
+          if (delta.thinking?.content) {
+            choice.thinking += delta.thinking.content;
+          }
+          (delta.tool_calls || []).forEach(toolCall => addToolCall(choice, toolCall));
+
+          if (chunk.finish_reason) {
+            choice.finishReason = chunk.finish_reason;
+          }
+        }
+      },
+
+      getError: () => error,
+
+      getChoices: () => {
+        if (choices.size === 0) {
+          return [{ index: 0, message: { role: 'assistant', content: '' }, finish_reason: 'stop' }];
+        }
+
+        return [...choices.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([index, choice]) => {
+            const message = { role: 'assistant', content: choice.content };
+
+            if (choice.thinking) {
+              message.thinking = { content: choice.thinking };
+            }
+
+            if (choice.toolCalls.size > 0) {
+              message.tool_calls = [...choice.toolCalls.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([, call]) => call);
+            }
+
+            return { index, message, finish_reason: choice.finishReason || 'stop' };
+          });
+      }
+    };
+  }
+
+  /**
+   * Normalize a non-2xx Mistral JSON body into an error response object
+   * @private
+   */
+  _normalizeHttpError(data, response) {
+    const body = data && typeof data === 'object' ? data : {};
+    const message = body.error?.message ||
+      (typeof body.error === 'string' ? body.error : undefined) ||
+      body.message ||
+      (body.detail ? JSON.stringify(body.detail) : undefined) ||
+      response.statusText ||
+      'Unknown error';
+
+    return {
+      status: response.status,
+      error: {
+        message,
+        type: body.error?.type || body.type || 'api_error',
+        param: body.error?.param ?? body.param
+      }
+    };
+  }
+
+  /**
+   * Create a TransformStream converting Mistral SSE bytes into unified SSE bytes
+   * A stall is reported to the given breaker, the one that recorded the response headers
+   * @private
+   */
+  _createSSETransformStream(context, breaker = null) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const streamContext = { ...context, streamSession: this._createStreamSession() };
+    let watchdog = null;
+    let streamController = null;
+
+    const send = (text, controller) => {
+      controller.enqueue(encoder.encode(text));
+      watchdog.sent();
+    };
+
+    const enqueueEvents = (events, controller) => {
+      for (const event of events) {
+        send(`data: ${JSON.stringify(event)}\n\n`, controller);
+      }
+    };
+
+    // Upstream keepalive comments are passed through for proxies between CCR and the client
+    const sseDecoder = this._createSSEDecoder({
+      onComment: (comment) => send(`:${comment}\n\n`, streamController)
+    });
+
+    // Terminating errors the writable side, which cancels the upstream body and aborts its read
+    const abortStalledStream = (controller, phase, limit) => {
+      const stallError = this._createStreamStallError(phase, limit, streamContext.streamSession);
+      breaker?.recordFailure(`${phase} timeout`);
+
+      try {
+        enqueueEvents(this._toUnifiedStreamEvents(stallError, streamContext), controller);
+        controller.terminate();
+      } catch (error) {
+        this.logger.debug('Stalled stream was already closed downstream', { error: error.message });
+      }
+
+      this._clearRequestState(context);
+    };
+
+    // Close out choices the provider never finished before the stream ends
+    const finalize = (controller) => {
+      const chunks = this._finalizeStreamSession(streamContext.streamSession, streamContext);
+      enqueueEvents(this._toCompletionChunkEvents(chunks, streamContext), controller);
+    };
+
+    const processEvent = (event, controller) => {
+      const payload = this._parseSSEEventPayload(event);
+      if (!payload) {
+        return;
+      }
+
+      if (payload.done) {
+        finalize(controller);
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        return;
+      }
+
+      try {
+        enqueueEvents(this._toUnifiedStreamEvents(payload.data, streamContext), controller);
+      } catch (error) {
+        this.logger.warn('Failed to transform SSE data', {
+          data: event.data,
+          error: error.message
+        });
+      }
+    };
+
+    return new TransformStream({
+      start: (controller) => {
+        streamController = controller;
+        watchdog = this._createStreamWatchdog({
+          onTimeout: (phase, limit) => abortStalledStream(controller, phase, limit),
+          onKeepalive: () => controller.enqueue(encoder.encode(': keepalive\n\n'))
+        });
+        watchdog.start();
+      },
+      transform: (chunk, controller) => {
+        watchdog.received();
+        sseDecoder.push(decoder.decode(chunk, { stream: true }))
+          .forEach(event => processEvent(event, controller));
+      },
+      flush: (controller) => {
+        watchdog.stop();
+        [...sseDecoder.push(decoder.decode()), ...sseDecoder.end()]
+          .forEach(event => processEvent(event, controller));
+        finalize(controller);
+        this._clearRequestState(context);
+      },
+      // The client went away: the pipe cancels the upstream body, so only the watchdog is left;
+      // a client leaving says nothing about Mistral, so no breaker outcome is recorded
+      cancel: (reason) => {
+        watchdog.stop();
+        this.logger.debug('Stream cancelled downstream', {
+          completionId: streamContext.streamSession.id,
+          reason: reason?.message || reason
+        });
+        this._clearRequestState(context);
+      }
+    });
+  }
+
+  /**
+   * Create a watchdog for a streamed response
+   * Fires onTimeout when no chunk arrives within firstByteTimeout, or when the stream then stays
+   * silent for streamIdleTimeout; fires onKeepalive whenever nothing was sent downstream for
+   * streamKeepaliveInterval. Both timers are unref'd so they never hold the process open
+   * @private
+   */
+  _createStreamWatchdog({ onTimeout, onKeepalive = null }) {
+    let stallTimer = null;
+    let keepaliveTimer = null;
+    let receivedData = false;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(stallTimer);
+      clearTimeout(keepaliveTimer);
+    };
+
+    const armStallTimer = () => {
+      clearTimeout(stallTimer);
+
+      const phase = receivedData ? 'idle' : 'first_byte';
+      const limit = receivedData ? this.streamIdleTimeout : this.firstByteTimeout;
+      if (limit > 0) {
+        stallTimer = setTimeout(() => {
+          stop();
+          onTimeout(phase, limit);
+        }, limit);
+        stallTimer.unref?.();
+      }
+    };
+
+    const armKeepaliveTimer = () => {
+      clearTimeout(keepaliveTimer);
+
+      if (onKeepalive && this.streamKeepaliveInterval > 0) {
+        keepaliveTimer = setTimeout(() => {
+          try {
+            onKeepalive();
+            armKeepaliveTimer();
+          } catch (error) {
+            // The downstream side is gone; nothing is left to keep alive
+            stop();
+          }
+        }, this.streamKeepaliveInterval);
+        keepaliveTimer.unref?.();
+      }
+    };
+
+    return {
+      start: () => {
+        armStallTimer();
+        armKeepaliveTimer();
+      },
+      received: () => {
+        if (!stopped) {
+          receivedData = true;
+          armStallTimer();
+        }
+      },
+      sent: () => {
+        if (!stopped) {
+          armKeepaliveTimer();
+        }
+      },
+      stop
+    };
+  }
+
+  /**
+   * Count and log a stalled stream, returning the error payload reported for it
+   * @private
+   */
+  _createStreamStallError(phase, limit, session) {
+    const firstByte = phase === 'first_byte';
+
+    if (firstByte) {
+      this.performanceMetrics.firstByteTimeouts++;
+    } else {
+      this.performanceMetrics.streamIdleTimeouts++;
+    }
+
+    this.logger.warn('Aborting stalled Mistral stream', {
+      phase,
+      timeout: limit,
+      completionId: session.id
+    });
+
+    return {
+      status: 504,
+      error: {
+        message: firstByte
+          ? `Mistral stream sent no data within ${limit}ms`
+          : `Mistral stream stalled with no data for ${limit}ms`,
+        type: 'timeout_error'
+      }
+    };
+  }
+
+  /**
+   * Convert a parsed Mistral SSE payload into unified chat.completion.chunk events
+   * @private
+   */
+  _toUnifiedStreamEvents(data, context) {
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+
+    if (data.error) {
+      this._finalizeStreamSession(this._getStreamSession(context), context, { emitPending: false });
+      return [{ error: this._transformStreamingErrorResponse(data, context).error }];
+    }
+
+    return this._toCompletionChunkEvents(this._parseSSEData(data, context), context);
+  }
+
+  /**
+   * Wrap parsed streaming chunks in a chat.completion.chunk event carrying the session's identity
+   * @private
+   */
+  _toCompletionChunkEvents(chunks, context) {
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    const session = this._getStreamSession(context);
+    const usageChunk = chunks.find(chunk => chunk.usage);
+
+    const event = {
+      id: session.id,
+      object: 'chat.completion.chunk',
+      created: session.created,
+      model: session.model,
+      // Usage-only chunks carry no choice, matching OpenAI's final usage chunk
+      choices: chunks.filter(chunk => chunk.index !== undefined).map(chunk => ({
+        index: chunk.index,
+        delta: chunk.delta || {},
+        finish_reason: chunk.finish_reason || null
+      }))
+    };
+
+    if (usageChunk) {
+      event.usage = usageChunk.usage;
+    }
+
+    return [event];
+  }
+
+  /**
+   * Convert a unified Fetch Response into an Anthropic Messages JSON or event-stream Response
+   * @private
+   */
+  async _transformFetchResponseOut(response, context) {
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+
+    if (contentType.includes('text/event-stream') && response.body) {
+      return new Response(response.body.pipeThrough(this._createAnthropicTransformStream(context)), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive'
+        }
+      });
+    }
+
+    if (contentType.includes('application/json')) {
+      const message = this._toAnthropicMessage(await response.json(), context);
+
+      return new Response(JSON.stringify(message), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    this.logger.warn('Unsupported response content type for Anthropic output, passing response through', {
+      contentType
+    });
+    return response;
+  }
+
+  /**
+   * Convert a unified chat.completion (or error) into an Anthropic Messages response body
+   * Thinking, text and tool calls of the first choice become thinking, text and tool_use blocks
+   * @private
+   */
+  _toAnthropicMessage(completion, context) {
+    if (!completion || typeof completion !== 'object') {
+      throw new Error('Invalid unified response: must be an object');
+    }
+
+    if (completion.error) {
+      return this._toAnthropicError(completion.error);
+    }
+
+    const choice = Array.isArray(completion.choices) ? completion.choices[0] || {} : {};
+    const message = choice.message || {};
+    const content = [];
+
+    if (message.thinking?.content) {
+      content.push({ type: 'thinking', thinking: message.thinking.content, signature: '' });
+    }
+
+    if (typeof message.content === 'string' && message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+
+    for (const toolCall of message.tool_calls || []) {
+      content.push({
+        type: 'tool_use',
+        id: toolCall.id,
+        name: toolCall.function?.name,
+        input: this._parseToolUseInput(toolCall)
+      });
+    }
+
+    return {
+      id: completion.id || this._getResponseId({}),
+      type: 'message',
+      role: 'assistant',
+      model: completion.model || context?.model,
+      content,
+      stop_reason: this._toAnthropicStopReason(choice.finish_reason),
+      stop_sequence: null,
+      usage: this._toAnthropicUsage(completion.usage)
+    };
+  }
+
+  /**
+   * Parse tool call arguments into a tool_use input object
+   * @private
+   */
+  _parseToolUseInput(toolCall) {
+    const argumentsText = toolCall.function?.arguments;
+
+    if (argumentsText && typeof argumentsText === 'object') {
+      return argumentsText;
+    }
+
+    try {
+      const input = JSON.parse(argumentsText || '{}');
+      return input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    } catch (error) {
+      this.logger.warn('Tool call arguments are not valid JSON, sending empty tool_use input', {
+        tool: toolCall.function?.name,
+        arguments: argumentsText
+      });
+      return {};
+    }
+  }
+
+  /**
+   * Map a unified finish reason to an Anthropic stop reason
+   * @private
+   */
+  _toAnthropicStopReason(finishReason) {
+    return ANTHROPIC_STOP_REASONS[finishReason] || 'end_turn';
+  }
+
+  /**
+   * Map unified usage to Anthropic input/output token counts
+   * @private
+   */
+  _toAnthropicUsage(usage) {
+    return {
+      input_tokens: this._validateTokenCount(usage?.prompt_tokens),
+      output_tokens: this._validateTokenCount(usage?.completion_tokens)
+    };
+  }
+
+  /**
+   * Build an Anthropic error body from a unified error
+   * @private
+   */
+  _toAnthropicError(error) {
+    return {
+      type: 'error',
+      error: {
+        type: error.type || 'api_error',
+        message: error.message || 'Unknown error'
+      }
+    };
+  }
+
+  /**
+   * Create a TransformStream converting unified SSE bytes into Anthropic Messages SSE bytes
+   * @private
+   */
+  _createAnthropicTransformStream(context) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const anthropicEncoder = this._createAnthropicEventEncoder(context);
+    let streamController = null;
+
+    const enqueueEvents = (events, controller) => {
+      for (const event of events) {
+        controller.enqueue(encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+      }
+    };
+
+    // Keepalive comments become Anthropic ping events
+    const sseDecoder = this._createSSEDecoder({
+      onComment: () => enqueueEvents([{ type: 'ping' }], streamController)
+    });
+
+    const processEvent = (event, controller) => {
+      const payload = this._parseSSEEventPayload(event);
+      if (payload) {
+        enqueueEvents(payload.done ? anthropicEncoder.finish() : anthropicEncoder.push(payload.data), controller);
+      }
+    };
+
+    return new TransformStream({
+      start: (controller) => {
+        streamController = controller;
+      },
+      transform: (chunk, controller) => {
+        sseDecoder.push(decoder.decode(chunk, { stream: true }))
+          .forEach(event => processEvent(event, controller));
+      },
+      flush: (controller) => {
+        [...sseDecoder.push(decoder.decode()), ...sseDecoder.end()]
+          .forEach(event => processEvent(event, controller));
+        enqueueEvents(anthropicEncoder.finish(), controller);
+      }
+    });
+  }
+
+  /**
+   * Create an encoder turning unified chat.completion.chunk events into Anthropic Messages events
+   * Thinking and text blocks are opened as they arrive and closed when the next one starts. Tool
+   * call fragments may interleave, so each call is buffered and sent as one complete tool_use block
+   * when the choice finishes; stop_reason and usage are held until the stream ends
+   * @private
+   */
+  _createAnthropicEventEncoder(context) {
+    const toolCalls = new Map();
+    let started = false;
+    let finished = false;
+    let blockCount = 0;
+    let openBlock = null;
+    let stopReason = null;
+    let usage = null;
+
+    const start = (chunk, events) => {
+      if (started) {
+        return;
+      }
+
+      started = true;
+      events.push({
+        type: 'message_start',
+        message: {
+          id: chunk?.id || this._getResponseId({}),
+          type: 'message',
+          role: 'assistant',
+          model: chunk?.model || context?.model,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { input_tokens: 0, output_tokens: 0 }
+        }
+      });
+    };
+
+    const closeBlock = (events) => {
+      if (openBlock) {
+        events.push({ type: 'content_block_stop', index: openBlock.index });
+        openBlock = null;
+      }
+    };
+
+    const startBlock = (contentBlock, events) => {
+      closeBlock(events);
+      openBlock = { type: contentBlock.type, index: blockCount++ };
+      events.push({ type: 'content_block_start', index: openBlock.index, content_block: contentBlock });
+      return openBlock.index;
+    };
+
+    // Thinking and text continue the open block of the same type
+    const appendDelta = (contentBlock, delta, events) => {
+      const index = openBlock?.type === contentBlock.type ? openBlock.index : startBlock(contentBlock, events);
+      events.push({ type: 'content_block_delta', index, delta });
+    };
+
+    // Send each buffered tool call as a start/delta/stop sequence in tool call order
+    const flushToolCalls = (events) => {
+      const calls = [...toolCalls.entries()].sort(([a], [b]) => a - b);
+      toolCalls.clear();
+
+      for (const [, call] of calls) {
+        const index = startBlock({ type: 'tool_use', id: call.id, name: call.name, input: {} }, events);
+
+        if (call.arguments) {
+          events.push({
+            type: 'content_block_delta',
+            index,
+            delta: { type: 'input_json_delta', partial_json: call.arguments }
+          });
+        }
+        closeBlock(events);
+      }
+    };
+
+    return {
+      push: (chunk) => {
+        const events = [];
+
+        if (finished || !chunk || typeof chunk !== 'object') {
+          return events;
+        }
+
+        if (chunk.error) {
+          finished = true;
+          events.push(this._toAnthropicError(chunk.error));
+          return events;
+        }
+
+        start(chunk, events);
+
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        // Anthropic messages have a single choice
+        const choice = (chunk.choices || []).find(candidate => (candidate.index || 0) === 0);
+        if (!choice) {
+          return events;
+        }
+
+        const delta = choice.delta || {};
+
+        if (delta.thinking?.content) {
+          appendDelta(
+            { type: 'thinking', thinking: '', signature: '' },
+            { type: 'thinking_delta', thinking: delta.thinking.content },
+            events
+          );
+        }
+
+        if (typeof delta.content === 'string' && delta.content) {
+          appendDelta({ type: 'text', text: '' }, { type: 'text_delta', text: delta.content }, events);
+        }
+
+        // Tool call fragments are merged by index until the choice finishes
+        for (const toolCall of delta.tool_calls || []) {
+          const index = toolCall.index || 0;
+          const call = toolCalls.get(index) || { id: null, name: null, arguments: '' };
+
+          call.id = call.id || toolCall.id;
+          call.name = call.name || toolCall.function?.name;
+          call.arguments += toolCall.function?.arguments || '';
+          toolCalls.set(index, call);
+        }
+
+        if (choice.finish_reason) {
+          stopReason = choice.finish_reason;
+          closeBlock(events);
+          flushToolCalls(events);
+        }
+
+        return events;
+      },
+
+      finish: () => {
+        const events = [];
+
+        if (finished) {
+          return events;
+        }
+
+        finished = true;
+        start(null, events);
+        closeBlock(events);
+        flushToolCalls(events);
+        events.push({
+          type: 'message_delta',
+          delta: { stop_reason: this._toAnthropicStopReason(stopReason), stop_sequence: null },
+          usage: this._toAnthropicUsage(usage)
+        });
+        events.push({ type: 'message_stop' });
+
+        return events;
+      }
+    };
+  }
+
+  /**
+   * Enhanced response validation with context
+   * @private
+   */
+  _validateResponseStructureWithContext(response, context) {
+    try {
+      this._validateResponseStructure(response, context);
+
+      // Additional context-aware validation
+      if (context) {
+        // Validate streaming context consistency
+        if (context.stream && !this._isSSEChunk(response)) {
+          this.logger.warn('Streaming context but response is not SSE format');
+        }
+
+        // Validate model consistency
+        if (context.expectedModel && response.model !== context.expectedModel) {
+          this.logger.warn('Response model differs from expected model', {
+            expected: context.expectedModel,
+            actual: response.model
+          });
+        }
+      }
+    } catch (error) {
+      throw this._createValidationError(error.message, response, context);
+    }
+  }
+
+  /**
+   * Extract advanced features from response
+   * @private
+   */
+  _getResponseAdvancedFeatures(response) {
+    const features = {};
+
+    // Check for safe prompt filtering
+    if (response.safe_prompt !== undefined) {
+      features.safePromptUsed = Boolean(response.safe_prompt);
+    }
+
+    // Check for random seed
+    if (response.random_seed !== undefined) {
+      features.randomSeedUsed = response.random_seed;
+    }
+
+    // Check for response format
+    if (response.response_format) {
+      features.responseFormat = response.response_format;
+    }
+
+    // Check for tool usage
+    if (response.choices) {
+      const hasToolCalls = response.choices.some(choice =>
+        choice.message?.tool_calls || choice.delta?.tool_calls
+      );
+      if (hasToolCalls) {
+        features.toolUsage = true;
+      }
+    }
+
+    return features;
+  }
+
+  /**
+   * Validate request structure and required fields
+   * @private
+   */
+  _validateRequest(request) {
+    if (!request || typeof request !== 'object') {
+      throw new Error('Invalid request: must be an object');
+    }
+
+    // Validate messages array
+    if (!Array.isArray(request.messages) || request.messages.length === 0) {
+      throw new Error('Invalid messages: must be a non-empty array');
+    }
+
+    // Validate each message structure
+    request.messages.forEach((message, index) => {
+      if (!message || typeof message !== 'object') {
+        throw new Error(`Invalid message at index ${index}: must be an object`);
+      }
+
+      if (!message.role || typeof message.role !== 'string') {
+        throw new Error(`Invalid message role at index ${index}: must be a string`);
+      }
+
+      if (message.content === undefined) {
+        throw new Error(`Invalid message content at index ${index}: must be defined`);
+      }
+
+      // Allow string, null, array, or object content (Claude Code Router format)
+      const validContentTypes = ['string', 'object', 'null'];
+      const contentType = typeof message.content;
+      if (!validContentTypes.includes(contentType) && message.content !== null) {
+        throw new Error(`Invalid message content at index ${index}: must be string, null, array, or object`);
+      }
+    });
+  }
+
+  /**
+   * Validate and normalize parameter values
+   * @private
+   */
+  _validateParameter(value, defaultValue, paramName, minValue = 0, maxValue = Infinity) {
+    const finalValue = value !== undefined ? value : defaultValue;
+
+    if (finalValue === undefined) {
+      return undefined;
+    }
+
+    // Convert to number if needed
+    const numericValue = Number(finalValue);
+
+    if (isNaN(numericValue)) {
+      throw new Error(`Invalid ${paramName}: must be a number`);
+    }
+
+    if (numericValue < minValue || numericValue > maxValue) {
+      throw new Error(`Invalid ${paramName}: must be between ${minValue} and ${maxValue}`);
+    }
+
+    return numericValue;
+  }
+
+  /**
+   * Add optional Mistral-supported parameters with validation
+   * @private
+   */
+  _addOptionalParameters(mistralRequest, request) {
+    // Add stop sequences if present
+    if (request.stop) {
+      if (Array.isArray(request.stop) && request.stop.length > 0) {
+        mistralRequest.stop = request.stop.slice(0, 4); // Limit to 4 stop sequences
+      } else if (typeof request.stop === 'string' && request.stop.trim()) {
+        mistralRequest.stop = [request.stop.trim()];
+      }
+    }
+
+    // Add Mistral-supported optional parameters with comprehensive validation
+    const optionalParams = [
+      'frequency_penalty',
+      'presence_penalty',
+      'random_seed',
+      'safe_prompt'
+    ];
+
+    optionalParams.forEach(param => {
+      if (request[param] !== undefined) {
+        mistralRequest[param] = this._validateParameter(
+          request[param],
+          undefined,
+          param,
+          param.includes('penalty') ? -2.0 : 0,
+          param.includes('penalty') ? 2.0 : Infinity
+        );
+      }
+    });
+
+    // Add advanced Mistral-specific parameters with enhanced validation
+    this._addAdvancedParameters(mistralRequest, request);
+  }
+
+  /**
+   * Add advanced Mistral-specific parameters with enhanced validation
+   * @private
+   */
+  _addAdvancedParameters(mistralRequest, request) {
+    // Response format parameter
+    if (request.response_format !== undefined) {
+      mistralRequest.response_format = this._validateResponseFormat(request.response_format);
+    }
+
+    // Safe prompt filtering
+    if (request.safe_prompt !== undefined) {
+      mistralRequest.safe_prompt = Boolean(request.safe_prompt);
+    } else if (this.safePrompt !== undefined) {
+      mistralRequest.safe_prompt = this.safePrompt;
+    }
+
+    // Random seed for deterministic results
+    if (request.random_seed !== undefined) {
+      const seed = Number(request.random_seed);
+      if (Number.isInteger(seed) && seed >= 0) {
+        mistralRequest.random_seed = seed;
+      }
+    } else if (this.randomSeed !== null) {
+      mistralRequest.random_seed = this.randomSeed;
+    }
+
+    // Temperature with advanced validation
+    if (request.temperature !== undefined) {
+      mistralRequest.temperature = this._validateAdvancedParameter(
+        request.temperature,
+        'temperature',
+        0.0,
+        2.0,
+        2
+      );
+    }
+
+    // Top-p with advanced validation
+    if (request.top_p !== undefined) {
+      mistralRequest.top_p = this._validateAdvancedParameter(
+        request.top_p,
+        'top_p',
+        0.0,
+        1.0,
+        3
+      );
+    }
+
+    // Penalty parameters with advanced validation
+    if (request.frequency_penalty !== undefined) {
+      mistralRequest.frequency_penalty = this._validateAdvancedParameter(
+        request.frequency_penalty,
+        'frequency_penalty',
+        -2.0,
+        2.0,
+        2
+      );
+    }
+
+    if (request.presence_penalty !== undefined) {
+      mistralRequest.presence_penalty = this._validateAdvancedParameter(
+        request.presence_penalty,
+        'presence_penalty',
+        -2.0,
+        2.0,
+        2
+      );
+    }
+
+    // Max tokens with advanced validation
+    if (request.max_tokens !== undefined) {
+      mistralRequest.max_tokens = this._validateMaxTokens(request.max_tokens);
+    }
+  }
+
+  /**
+   * Map unified reasoning settings to Magistral's prompt_mode
+   * @private
+   */
+  _addReasoningParameters(mistralRequest, request) {
+    const reasoning = request.reasoning;
+    if (!reasoning || typeof reasoning !== 'object') {
+      return;
+    }
+
+    if (!this._supportsReasoning(request.model)) {
+      this.logger.debug('Reasoning requested for a model without reasoning mode, ignoring', {
+        model: request.model,
+        reasoning
+      });
+      return;
+    }
+
+    const enabled = reasoning.enabled !== false && reasoning.effort !== 'none';
+
+    // prompt_mode null disables Magistral's default reasoning system prompt
+    mistralRequest.prompt_mode = enabled ? 'reasoning' : null;
+
+    if (enabled && reasoning.max_tokens && reasoning.max_tokens > mistralRequest.max_tokens) {
+      this.logger.debug('Reasoning budget exceeds max_tokens, Magistral has no separate thinking budget', {
+        reasoningMaxTokens: reasoning.max_tokens,
+        maxTokens: mistralRequest.max_tokens
+      });
+    }
+  }
+
+  /**
+   * Check if a model supports Magistral reasoning mode
+   * @private
+   */
+  _supportsReasoning(model) {
+    const modelName = String(model || '');
+    return this.reasoningModels.some(prefix => modelName.startsWith(prefix));
+  }
+
+  /**
+   * Validate response format parameter
+   * @private
+   */
+  _validateResponseFormat(format) {
+    const validFormats = ['text', 'json_object'];
+
+    if (typeof format === 'string' && validFormats.includes(format)) {
+      return format;
+    }
+
+    if (typeof format === 'object' && format.type && validFormats.includes(format.type)) {
+      return format;
+    }
+
+    this.logger.warn('Invalid response format, defaulting to text', { format });
+    return 'text';
+  }
+
+  /**
+   * Translate tool_choice and parallel tool call settings to Mistral format
+   * @private
+   */
+  _addToolChoiceParameters(mistralRequest, request, toolNameMap) {
+    if (typeof request.parallel_tool_calls === 'boolean') {
+      mistralRequest.parallel_tool_calls = request.parallel_tool_calls;
+    }
+
+    if (request.tool_choice === undefined || request.tool_choice === null) {
+      return;
+    }
+
+    const toolChoice = this._validateToolChoice(request.tool_choice, mistralRequest.tools, toolNameMap);
+    mistralRequest.tool_choice = toolChoice;
+
+    // Anthropic carries the parallel tool use switch inside tool_choice
+    if (request.tool_choice?.disable_parallel_tool_use === true) {
+      mistralRequest.parallel_tool_calls = false;
+    }
+  }
+
+  /**
+   * Validate tool choice parameter
+   * Accepts Mistral/OpenAI forms ('auto', 'none', 'any', 'required', {type: 'function', function: {name}})
+   * and Anthropic forms ({type: 'auto'}, {type: 'any'}, {type: 'none'}, {type: 'tool', name})
+   * @private
+   */
+  _validateToolChoice(toolChoice, tools = [], toolNameMap = null) {
+    if (['auto', 'none', 'any', 'required'].includes(toolChoice)) {
+      return toolChoice;
+    }
+
+    if (toolChoice && typeof toolChoice === 'object') {
+      if (['auto', 'none', 'any'].includes(toolChoice.type)) {
+        return toolChoice.type;
+      }
+
+      const name = toolChoice.type === 'tool'
+        ? toolChoice.name
+        : toolChoice.type === 'function' ? toolChoice.function?.name : undefined;
+
+      if (typeof name === 'string' && name) {
+        const mistralName = toolNameMap ? toolNameMap.toMistral(name) : name;
+        if (!(tools || []).some(tool => tool.function.name === mistralName)) {
+          throw new Error(`Invalid tool_choice: tool "${name}" is not defined in tools`);
+        }
+
+        return { type: 'function', function: { name: mistralName } };
+      }
+    }
+
+    this.logger.warn('Invalid tool choice, defaulting to auto', { toolChoice });
+    return 'auto';
+  }
+
+  /**
+   * Advanced parameter validation with precision control
+   * @private
+   */
+  _validateAdvancedParameter(value, paramName, minValue, maxValue, decimalPlaces = 2) {
+    const finalValue = Number(value);
+
+    if (isNaN(finalValue)) {
+      throw new Error(`Invalid ${paramName}: must be a number`);
+    }
+
+    if (finalValue < minValue || finalValue > maxValue) {
+      throw new Error(`Invalid ${paramName}: must be between ${minValue} and ${maxValue}`);
+    }
+
+    // Round to specified decimal places
+    const multiplier = Math.pow(10, decimalPlaces);
+    return Math.round(finalValue * multiplier) / multiplier;
+  }
+
+  /**
+   * Validate max tokens with model-specific limits
+   * @private
+   */
+  _validateMaxTokens(value) {
+    const tokens = Number(value);
+
+    if (isNaN(tokens) || tokens < 1) {
+      throw new Error('Invalid max_tokens: must be a positive number');
+    }
+
+    // Model-specific token limits (can be extended based on actual model capabilities)
+    const maxAllowed = 32000; // Conservative limit
+
+    if (tokens > maxAllowed) {
+      this.logger.warn(`max_tokens exceeds recommended limit, truncating to ${maxAllowed}`, { tokens });
+      return maxAllowed;
+    }
+
+    return Math.floor(tokens);
+  }
+
+  /**
+   * Clean request by removing undefined values
+   * @private
+   */
+  _cleanRequest(mistralRequest) {
+    Object.keys(mistralRequest).forEach(key => {
+      if (mistralRequest[key] === undefined) {
+        delete mistralRequest[key];
+      }
+    });
+  }
+
+  /**
+   * Transform unified messages to Mistral message format
+   * @private
+   */
+  _transformMessages(messages, model, toolNameMap = this._createToolNameMap()) {
+    if (!Array.isArray(messages)) {
+      return [];
+    }
+
+    // Shared across messages so per-request image limits are enforced
+    const contentContext = {
+      model,
+      supportsVision: this._supportsVision(model),
+      supportsReasoning: this._supportsReasoning(model),
+      contentFormat: this._resolveContentFormat(model),
+      imageCount: 0,
+      toolNames: new Map()
+    };
+
+    // Anthropic tool_use/tool_result blocks may expand one message into several
+    return messages.flatMap((original, index) => this._splitToolBlocks(original).map(message => {
+      try {
+        const mistralMessage = {
+          role: this._mapRole(message.role),
+          content: this._transformMessageContent(message.content, index, contentContext)
+        };
+
+        // Handle tool calls in messages
+        if (message.tool_calls && Array.isArray(message.tool_calls)) {
+          mistralMessage.tool_calls = message.tool_calls.map((toolCall, toolIndex) => {
+            if (!toolCall.function || !toolCall.function.name) {
+              throw new Error(`Invalid tool call at message ${index}, tool ${toolIndex}: missing function name`);
+            }
+
+            // Missing IDs get a seed that stays stable as the conversation grows
+            const toolCallId = this.toolIdMapper.toMistral(
+              toolCall.id || `call_${index}_${toolIndex}_${toolCall.function.name}`
+            );
+            const toolName = toolNameMap.toMistral(toolCall.function.name);
+            contentContext.toolNames.set(toolCallId, toolName);
+
+            return {
+              id: toolCallId,
+              type: 'function',
+              function: {
+                name: toolName,
+                arguments: typeof toolCall.function.arguments === 'string'
+                  ? toolCall.function.arguments
+                  : JSON.stringify(toolCall.function.arguments || {})
+              }
+            };
+          });
+        }
+
+        // Handle tool results
+        if (message.tool_call_id) {
+          mistralMessage.tool_call_id = this.toolIdMapper.toMistral(message.tool_call_id);
+
+          if (mistralMessage.role === 'tool' && contentContext.toolNames.has(mistralMessage.tool_call_id)) {
+            mistralMessage.name = contentContext.toolNames.get(mistralMessage.tool_call_id);
+          }
+        }
+
+        // Replay prior-turn thinking to reasoning models; other models never see it
+        if (mistralMessage.role === 'assistant' && contentContext.supportsReasoning) {
+          const thinking = this._extractReplayThinking(message);
+          if (thinking) {
+            mistralMessage.content = [
+              { type: 'thinking', thinking: [{ type: 'text', text: thinking }] },
+              ...this._toContentParts(mistralMessage.content)
+            ];
+          }
+        }
+
+        // Clean undefined values
+        Object.keys(mistralMessage).forEach(key => {
+          if (mistralMessage[key] === undefined) {
+            delete mistralMessage[key];
+          }
+        });
+
+        return mistralMessage;
+      } catch (error) {
+        this.logger.error(`Failed to transform message at index ${index}`, {
+          message,
+          error: error.message
+        });
+        throw error;
+      }
+    }));
+  }
+
+  /**
+   * Reconcile assistant tool calls with the tool messages that directly follow them
+   * Calls without a result are answered with a cancellation result or stripped, and results
+   * without a call are stripped or converted to user messages, according to the configured policies
+   * @private
+   */
+  _reconcileToolMessages(messages) {
+    const rewrites = [];
+    const reconciled = [];
+
+    const handleOrphanedResult = (message, index) => {
+      if (this.orphanedToolResults === 'convert') {
+        rewrites.push({ action: 'converted_orphaned_tool_result', index, toolCallId: message.tool_call_id });
+        const label = message.name || message.tool_call_id || 'unknown tool';
+        return [{ role: 'user', content: `Result of ${label}:\n${this._extractTextContent(message.content)}` }];
+      }
+
+      rewrites.push({ action: 'stripped_orphaned_tool_result', index, toolCallId: message.tool_call_id });
+      return [];
+    };
+
+    let index = 0;
+    while (index < messages.length) {
+      const message = messages[index];
+
+      if (message.role === 'tool') {
+        reconciled.push(...handleOrphanedResult(message, index));
+        index++;
+        continue;
+      }
+
+      if (message.role !== 'assistant' || !message.tool_calls?.length) {
+        reconciled.push(message);
+        index++;
+        continue;
+      }
+
+      // Results must form the run of tool messages directly after the assistant message
+      const callIds = new Set(message.tool_calls.map(toolCall => toolCall.id));
+      const answered = new Set();
+      const results = [];
+      const converted = [];
+
+      let next = index + 1;
+      for (; next < messages.length && messages[next].role === 'tool'; next++) {
+        const result = messages[next];
+        if (callIds.has(result.tool_call_id) && !answered.has(result.tool_call_id)) {
+          answered.add(result.tool_call_id);
+          results.push(result);
+        } else {
+          converted.push(...handleOrphanedResult(result, next));
+        }
+      }
+
+      const missing = message.tool_calls.filter(toolCall => !answered.has(toolCall.id));
+      let assistant = message;
+
+      if (missing.length > 0 && this.orphanedToolCalls === 'strip') {
+        missing.forEach(toolCall => rewrites.push({ action: 'stripped_orphaned_tool_call', index, toolCallId: toolCall.id }));
+        assistant = { ...message, tool_calls: message.tool_calls.filter(toolCall => answered.has(toolCall.id)) };
+        if (assistant.tool_calls.length === 0) {
+          delete assistant.tool_calls;
+        }
+      } else {
+        missing.forEach(toolCall => {
+          rewrites.push({ action: 'synthesized_cancelled_tool_result', index, toolCallId: toolCall.id });
+          results.push({
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            name: toolCall.function.name,
+            content: CANCELLED_TOOL_RESULT
+          });
+        });
+      }
+
+      reconciled.push(assistant, ...results, ...converted);
+      index = next;
+    }
+
+    if (rewrites.length > 0) {
+      this.logger.info('Reconciled orphaned tool calls and results', { rewrites });
+    }
+
+    return reconciled;
+  }
+
+  /**
+   * Rewrite a transformed message list into an order Mistral accepts
+   * - System messages are merged into a single leading system message
+   * - Empty assistant messages without tool calls are dropped
+   * - Consecutive user or assistant messages are merged
+   * - A bridging assistant turn is inserted when a user message follows a tool message
+   * - A trailing assistant message without tool calls is followed by a continuation user turn
+   * @private
+   */
+  _normalizeMessageSequence(messages) {
+    const rewrites = [];
+    const systemMessages = [];
+    const normalized = [];
+
+    messages.forEach((message, index) => {
+      if (message.role === 'system') {
+        if (index !== systemMessages.length) {
+          rewrites.push({ action: 'moved_system_message', index });
+        }
+        systemMessages.push(message);
+        return;
+      }
+
+      if (message.role === 'assistant' && !message.tool_calls?.length && this._isEmptyContent(message.content)) {
+        rewrites.push({ action: 'dropped_empty_assistant_message', index });
+        return;
+      }
+
+      const previous = normalized[normalized.length - 1];
+
+      if (previous && previous.role === message.role && (message.role === 'user' || message.role === 'assistant')) {
+        rewrites.push({ action: `merged_${message.role}_message`, index });
+        previous.content = this._mergeMessageContent(previous.content, message.content);
+        if (message.tool_calls?.length) {
+          previous.tool_calls = [...(previous.tool_calls || []), ...message.tool_calls];
+        }
+        return;
+      }
+
+      if (previous && previous.role === 'tool' && message.role === 'user') {
+        rewrites.push({ action: 'inserted_tool_bridge', index });
+        normalized.push({ role: 'assistant', content: TOOL_BRIDGE_CONTENT });
+      }
+
+      normalized.push({ ...message });
+    });
+
+    if (systemMessages.length > 1) {
+      rewrites.push({ action: 'merged_system_messages', count: systemMessages.length });
+    }
+
+    if (systemMessages.length > 0) {
+      normalized.unshift({
+        ...systemMessages[0],
+        content: systemMessages
+          .map(message => message.content)
+          .reduce((merged, content) => this._mergeMessageContent(merged, content))
+      });
+    }
+
+    const last = normalized[normalized.length - 1];
+    if (last && last.role === 'assistant' && !last.tool_calls?.length) {
+      rewrites.push({ action: 'appended_continuation', index: messages.length });
+      normalized.push({ role: 'user', content: CONTINUATION_CONTENT });
+    }
+
+    if (rewrites.length > 0) {
+      this.logger.info('Normalized message sequence for Mistral', { rewrites });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check whether transformed message content carries nothing to send
+   * @private
+   */
+  _isEmptyContent(content) {
+    if (Array.isArray(content)) {
+      return content.every(part => part && part.type === 'text' && !String(part.text || '').trim());
+    }
+
+    return !content || !String(content).trim();
+  }
+
+  /**
+   * Merge the content of two messages, keeping content chunks when either side uses them
+   * @private
+   */
+  _mergeMessageContent(first, second) {
+    if (Array.isArray(first) || Array.isArray(second)) {
+      return [...this._toContentParts(first), ...this._toContentParts(second)];
+    }
+
+    return [first, second].filter(content => content && String(content).trim()).join('\n\n');
+  }
+
+  /**
+   * Split Anthropic tool_use/tool_result content blocks into Mistral message structure
+   * Assistant tool_use blocks become tool_calls; each user tool_result block becomes its own
+   * tool message, with surrounding blocks kept in order as user messages
+   * @private
+   */
+  _splitToolBlocks(message) {
+    if (!message || !Array.isArray(message.content)) {
+      return [message];
+    }
+
+    const content = message.content;
+    const hasToolUse = content.some(block => block && block.type === 'tool_use');
+    const hasToolResult = content.some(block => block && block.type === 'tool_result');
+
+    if (!hasToolUse && !hasToolResult) {
+      return [message];
+    }
+
+    if (hasToolUse) {
+      const toolCalls = content
+        .filter(block => block && block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input ?? {})
+          }
+        }));
+
+      return [{
+        ...message,
+        content: content.filter(block => !block || block.type !== 'tool_use'),
+        tool_calls: [...(Array.isArray(message.tool_calls) ? message.tool_calls : []), ...toolCalls]
+      }];
+    }
+
+    const split = [];
+    let pending = [];
+
+    const flushPending = () => {
+      if (pending.length > 0) {
+        split.push({ ...message, content: pending });
+        pending = [];
+      }
+    };
+
+    for (const block of content) {
+      if (block && block.type === 'tool_result') {
+        flushPending();
+        split.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: this._extractToolResultContent(block)
+        });
+      } else {
+        pending.push(block);
+      }
+    }
+
+    flushPending();
+    return split;
+  }
+
+  /**
+   * Convert tool_result content (string, block array or structured value) into tool message text
+   * @private
+   */
+  _extractToolResultContent(block) {
+    let content;
+
+    if (typeof block.content === 'string') {
+      content = block.content;
+    } else if (Array.isArray(block.content)) {
+      content = block.content
+        .map(part => {
+          if (typeof part === 'string') {
+            return part;
+          }
+          if (part && part.type === 'text') {
+            return part.text || '';
+          }
+          if (this._isImageBlock(part)) {
+            return '[Image omitted from tool result]';
+          }
+          return JSON.stringify(part);
+        })
+        .filter(text => text !== '')
+        .join('\n');
+    } else if (block.content === undefined || block.content === null) {
+      content = '';
+    } else {
+      content = JSON.stringify(block.content);
+    }
+
+    return block.is_error ? `Error: ${content}` : content;
+  }
+
+  /**
+   * Transform message content into Mistral's content format for the model
+   * Content arrays keep their block boundaries as native content chunks unless the model
+   * requires string content, in which case text blocks are flattened
+   * @private
+   */
+  _transformMessageContent(content, messageIndex, contentContext) {
+    if (!Array.isArray(content)) {
+      return this._extractTextContent(content);
+    }
+
+    const hasImages = content.some(block => this._isImageBlock(block));
+
+    if (hasImages && !contentContext.supportsVision) {
+      this.logger.warn('Model does not support image input, replacing images with placeholders', {
+        model: contentContext.model,
+        messageIndex
+      });
+    }
+
+    // String-only models get flattened text unless images require a multimodal array
+    if (contentContext.contentFormat === 'string' && (!hasImages || !contentContext.supportsVision)) {
+      return this._extractTextContent(content.map(block => this._isImageBlock(block)
+        ? this._imagePlaceholder(contentContext.model)
+        : block
+      ));
+    }
+
+    const parts = [];
+
+    for (const block of content) {
+      if (this._isImageBlock(block)) {
+        parts.push(contentContext.supportsVision
+          ? this._transformImageBlock(block, messageIndex, contentContext)
+          : this._imagePlaceholder(contentContext.model));
+      } else if (typeof block === 'string' && block !== '') {
+        parts.push({ type: 'text', text: block });
+      } else if (block && block.type === 'text' && typeof block.text === 'string' && block.text !== '') {
+        parts.push({ type: 'text', text: block.text });
+      }
+    }
+
+    return parts.length > 0 ? parts : '';
+  }
+
+  /**
+   * Resolve whether a model receives content chunk arrays or flattened strings
+   * The longest matching prefix in modelContentFormats wins over contentFormat
+   * @private
+   */
+  _resolveContentFormat(model) {
+    const modelName = String(model || '');
+    const prefixes = Object.keys(this.modelContentFormats)
+      .filter(prefix => modelName.startsWith(prefix))
+      .sort((a, b) => b.length - a.length);
+
+    return prefixes.length > 0 ? this.modelContentFormats[prefixes[0]] : this.contentFormat;
+  }
+
+  /**
+   * Text chunk standing in for an image sent to a text-only model
+   * @private
+   */
+  _imagePlaceholder(model) {
+    return { type: 'text', text: `[Image omitted: ${model} does not support image input]` };
+  }
+
+  /**
+   * Check if a content block carries an image
+   * @private
+   */
+  _isImageBlock(block) {
+    return Boolean(block) && (block.type === 'image' || block.type === 'image_url');
+  }
+
+  /**
+   * Check if a model accepts image input
+   * @private
+   */
+  _supportsVision(model) {
+    const modelName = String(model || '');
+    return this.visionModels.some(prefix => modelName.startsWith(prefix));
+  }
+
+  /**
+   * Convert a Claude image block (base64 or URL source) into a Mistral image_url part
+   * @private
+   */
+  _transformImageBlock(block, messageIndex, contentContext) {
+    contentContext.imageCount++;
+
+    if (contentContext.imageCount > this.maxImagesPerRequest) {
+      throw new Error(
+        `Invalid image content at message ${messageIndex}: Mistral accepts at most ${this.maxImagesPerRequest} images per request`
+      );
+    }
+
+    const imageUrl = this._resolveImageUrl(block);
+    if (!imageUrl) {
+      throw new Error(`Invalid image content at message ${messageIndex}: missing image source`);
+    }
+
+    if (imageUrl.startsWith('data:')) {
+      this._validateImageData(imageUrl, messageIndex);
+    } else if (!/^https?:\/\//i.test(imageUrl)) {
+      throw new Error(`Invalid image content at message ${messageIndex}: image URL must use http(s) or a data URI`);
+    }
+
+    return {
+      type: 'image_url',
+      image_url: imageUrl
+    };
+  }
+
+  /**
+   * Resolve the URL (or data URI) of an image block
+   * @private
+   */
+  _resolveImageUrl(block) {
+    if (block.type === 'image_url') {
+      return typeof block.image_url === 'string' ? block.image_url : block.image_url?.url;
+    }
+
+    const source = block.source || {};
+
+    if (source.type === 'base64' && source.data) {
+      return `data:${source.media_type || 'image/png'};base64,${source.data}`;
+    }
+
+    if (source.type === 'url') {
+      return source.url;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Validate media type and decoded size of a base64 image data URI
+   * @private
+   */
+  _validateImageData(dataUri, messageIndex) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUri);
+    if (!match) {
+      throw new Error(`Invalid image content at message ${messageIndex}: image data must be base64 encoded`);
+    }
+
+    const [, mediaType, data] = match;
+    const supportedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+    if (!supportedTypes.includes(mediaType)) {
+      throw new Error(
+        `Invalid image content at message ${messageIndex}: unsupported media type ${mediaType} (expected ${supportedTypes.join(', ')})`
+      );
+    }
+
+    const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+    const imageBytes = Math.floor(data.length * 3 / 4) - padding;
+
+    if (imageBytes > this.maxImageBytes) {
+      const sizeMb = (imageBytes / (1024 * 1024)).toFixed(1);
+      const limitMb = (this.maxImageBytes / (1024 * 1024)).toFixed(1);
+      throw new Error(
+        `Invalid image content at message ${messageIndex}: image is ${sizeMb}MB, Mistral accepts at most ${limitMb}MB per image`
+      );
+    }
+  }
+
+  /**
+   * Extract prior-turn thinking from a unified assistant message
+   * @private
+   */
+  _extractReplayThinking(message) {
+    if (message.thinking?.content) {
+      return String(message.thinking.content);
+    }
+
+    if (Array.isArray(message.content)) {
+      const thinkingParts = message.content
+        .filter(block => block && block.type === 'thinking' && typeof block.thinking === 'string')
+        .map(block => block.thinking);
+
+      return thinkingParts.join('\n');
+    }
+
+    return '';
+  }
+
+  /**
+   * Convert transformed message content into a Mistral content chunk array
+   * @private
+   */
+  _toContentParts(content) {
+    if (Array.isArray(content)) {
+      return content;
+    }
+
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+
+  /**
+   * Extract thinking text from Mistral content chunks
+   * Magistral returns {type: 'thinking', thinking: [{type: 'text', text}]} chunks
+   * @private
+   */
+  _extractThinkingContent(content) {
+    if (!Array.isArray(content)) {
+      return '';
+    }
+
+    return content
+      .filter(block => block && block.type === 'thinking')
+      .map(block => {
+        if (typeof block.thinking === 'string') {
+          return block.thinking;
+        }
+        return Array.isArray(block.thinking)
+          ? block.thinking.map(part => (typeof part === 'string' ? part : part?.text || '')).join('')
+          : '';
+      })
+      .join('');
+  }
+
+  /**
+   * Extract text content from Claude Code Router's complex message format
+   * Handles both simple strings and complex content arrays
+   * @private
+   */
+  _extractTextContent(content) {
+    if (content === null || content === undefined) {
+      return '';
+    }
+
+    // Handle simple string content
+    if (typeof content === 'string') {
+      return content;
+    }
+
+    // Handle complex content array (Claude Code Router format)
+    if (Array.isArray(content)) {
+      // Extract text from all text blocks
+      const textParts = content
+        .filter(block => block.type === 'text' && block.text)
+        .map(block => block.text)
+        .filter(text => text && text.trim());
+
+      return textParts.join('\n') || '';
+    }
+
+    // Handle object format (fallback)
+    if (typeof content === 'object') {
+      // Try to extract text property
+      if (content.text) {
+        return String(content.text);
+      }
+      // Try to extract from content array if present
+      if (content.content && Array.isArray(content.content)) {
+        return this._extractTextContent(content.content);
+      }
+    }
+
+    // Final fallback
+    return String(content);
+  }
+
+  /**
+   * Map unified role to Mistral role
+   * @private
+   */
+  _mapRole(role) {
+    const roleMap = {
+      'user': 'user',
+      'assistant': 'assistant',
+      'system': 'system',
+      'tool': 'tool'
+    };
+
+    return roleMap[role] || 'user';
+  }
+
+  /**
+   * Create a per-request map between original tool names and Mistral-compliant names
+   * Invalid characters become underscores; names that are too long or collide get a hash suffix
+   * @private
+   */
+  _createToolNameMap() {
+    const toMistral = new Map();
+    const toOriginal = new Map();
+    const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 8);
+
+    return {
+      toMistral: (name) => {
+        const original = String(name);
+        if (toMistral.has(original)) {
+          return toMistral.get(original);
+        }
+
+        let candidate = original.replace(/[^a-zA-Z0-9_-]/g, '_') || 'tool';
+        if (candidate.length > MAX_TOOL_NAME_LENGTH || toOriginal.has(candidate)) {
+          candidate = `${candidate.slice(0, MAX_TOOL_NAME_LENGTH - 9)}_${hash(original)}`;
+        }
+
+        toMistral.set(original, candidate);
+        toOriginal.set(candidate, original);
+        return candidate;
+      },
+
+      toOriginal: (name) => (toOriginal.has(name) ? toOriginal.get(name) : name),
+
+      getRenames: () => [...toMistral]
+        .filter(([original, mistralName]) => original !== mistralName)
+        .map(([original, mistralName]) => ({ original, mistral: mistralName }))
+    };
+  }
+
+  /**
+   * Restore the original tool name for a name Mistral returned in this request's response
+   * @private
+   */
+  _restoreToolName(name, context) {
+    const toolNameMap = this._getRequestState(context)?.toolNameMap;
+    return toolNameMap && name ? toolNameMap.toOriginal(name) : name;
+  }
+
+  /**
+   * Transform unified tools to Mistral tool format
+   * @private
+   */
+  _transformTools(tools, toolNameMap = this._createToolNameMap()) {
+    return tools.map((tool, index) => {
+      try {
+        if (!tool.function || !tool.function.name) {
+          throw new Error(`Invalid tool at index ${index}: missing function name`);
+        }
+
+        const mistralTool = {
+          type: 'function',
+          function: {
+            name: toolNameMap.toMistral(tool.function.name),
+            description: tool.function.description ? String(tool.function.description) : '',
+            parameters: this._validateToolParameters(tool.function.parameters || {}, tool.function.name)
+          }
+        };
+
+        // Clean undefined values
+        Object.keys(mistralTool.function).forEach(key => {
+          if (mistralTool.function[key] === undefined) {
+            delete mistralTool.function[key];
+          }
+        });
+
+        return mistralTool;
+      } catch (error) {
+        this.logger.error(`Failed to transform tool at index ${index}`, {
+          tool,
+          error: error.message
+        });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Validate and normalize tool parameters
+   * Recursively sanitizes the JSON Schema and logs every keyword that was rewritten or removed
+   * @private
+   */
+  _validateToolParameters(parameters, toolName) {
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      return {};
+    }
+
+    const changes = [];
+    const sanitized = this._sanitizeSchema(parameters, {
+      root: parameters,
+      path: '#',
+      depth: 0,
+      refStack: ['#'],
+      changes
+    });
+
+    // Mistral expects an object schema at the top level
+    if (!sanitized.type) {
+      sanitized.type = 'object';
+    }
+
+    if (sanitized.type === 'object' && !sanitized.properties) {
+      sanitized.properties = {};
+    }
+
+    if (changes.length > 0) {
+      this.logger.debug('Sanitized tool parameter schema', {
+        tool: toolName,
+        changes
+      });
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Recursively rewrite a JSON Schema node into the subset Mistral accepts
+   * @private
+   */
+  _sanitizeSchema(schema, state) {
+    const { path, changes } = state;
+
+    if (typeof schema === 'boolean') {
+      // `true` allows anything; `false` has no Mistral equivalent, so it is relaxed too
+      if (schema === false) {
+        changes.push(`${path}: replaced false schema with {}`);
+      }
+      return {};
+    }
+
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      changes.push(`${path}: replaced invalid schema with {}`);
+      return {};
+    }
+
+    if (state.depth > MAX_SCHEMA_DEPTH) {
+      changes.push(`${path}: truncated schema nested deeper than ${MAX_SCHEMA_DEPTH} levels`);
+      return {};
+    }
+
+    if (typeof schema.$ref === 'string') {
+      return this._inlineSchemaRef(schema, state);
+    }
+
+    const child = (node, suffix) => this._sanitizeSchema(node, {
+      ...state,
+      path: `${path}/${suffix}`,
+      depth: state.depth + 1
+    });
+
+    const sanitized = {};
+
+    for (const [keyword, value] of Object.entries(schema)) {
+      if (value === undefined) {
+        continue;
+      }
+
+      switch (keyword) {
+        case 'type':
+          this._sanitizeSchemaType(value, sanitized, path, changes);
+          break;
+
+        case 'properties':
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            sanitized.properties = {};
+            for (const [name, property] of Object.entries(value)) {
+              sanitized.properties[name] = child(property, `properties/${name}`);
+            }
+          } else {
+            changes.push(`${path}: removed invalid properties`);
+          }
+          break;
+
+        case 'required':
+          if (Array.isArray(value)) {
+            const required = value.filter(name => typeof name === 'string');
+            if (required.length !== value.length) {
+              changes.push(`${path}: removed non-string required entries`);
+            }
+            if (required.length > 0) {
+              sanitized.required = required;
+            }
+          } else {
+            changes.push(`${path}: removed invalid required`);
+          }
+          break;
+
+        case 'items':
+          if (Array.isArray(value)) {
+            // Tuple validation is not supported; accept any of the listed item schemas
+            changes.push(`${path}: rewrote tuple items as anyOf`);
+            sanitized.items = value.length > 0
+              ? { anyOf: value.map((item, index) => child(item, `items/${index}`)) }
+              : {};
+          } else {
+            sanitized.items = child(value, 'items');
+          }
+          break;
+
+        case 'additionalProperties':
+          sanitized.additionalProperties = typeof value === 'boolean'
+            ? value
+            : child(value, 'additionalProperties');
+          break;
+
+        case 'anyOf':
+        case 'oneOf':
+        case 'allOf':
+          if (Array.isArray(value) && value.length > 0) {
+            sanitized[keyword] = value.map((item, index) => child(item, `${keyword}/${index}`));
+          } else {
+            changes.push(`${path}: removed empty ${keyword}`);
+          }
+          break;
+
+        case 'const':
+          changes.push(`${path}: rewrote const as enum`);
+          sanitized.enum = [value];
+          break;
+
+        case 'enum':
+          if (Array.isArray(value) && value.length > 0) {
+            sanitized.enum = [...value];
+          } else {
+            changes.push(`${path}: removed empty enum`);
+          }
+          break;
+
+        case 'format':
+          if (SUPPORTED_SCHEMA_FORMATS.has(value)) {
+            sanitized.format = value;
+          } else {
+            changes.push(`${path}: removed unsupported format "${value}"`);
+          }
+          break;
+
+        case 'description':
+        case 'title':
+        case 'pattern':
+          sanitized[keyword] = String(value);
+          break;
+
+        default:
+          if (SUPPORTED_SCHEMA_KEYWORDS.has(keyword)) {
+            sanitized[keyword] = value;
+          } else {
+            changes.push(`${path}: removed unsupported keyword "${keyword}"`);
+          }
+      }
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Normalize a schema `type`, rewriting multi-type arrays as anyOf
+   * @private
+   */
+  _sanitizeSchemaType(value, sanitized, path, changes) {
+    const types = (Array.isArray(value) ? value : [value]).filter(type => SCHEMA_TYPES.has(type));
+
+    if (types.length !== (Array.isArray(value) ? value.length : 1)) {
+      changes.push(`${path}: removed unknown type values`);
+    }
+
+    if (types.length === 1) {
+      sanitized.type = types[0];
+    } else if (types.length > 1) {
+      changes.push(`${path}: rewrote type array as anyOf`);
+      sanitized.anyOf = types.map(type => ({ type }));
+    }
+  }
+
+  /**
+   * Inline a local $ref (#/$defs/... or #/definitions/...) and drop any it cannot resolve
+   * @private
+   */
+  _inlineSchemaRef(schema, state) {
+    const { $ref, ...siblings } = schema;
+    const { root, path, changes } = state;
+
+    let target;
+    if ($ref === '#') {
+      target = root;
+    } else if ($ref.startsWith('#/')) {
+      target = $ref.slice(2).split('/').reduce((node, segment) => {
+        const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        return node && typeof node === 'object' ? node[key] : undefined;
+      }, root);
+    }
+
+    if (target === undefined) {
+      changes.push(`${path}: removed unresolvable $ref "${$ref}"`);
+      return this._sanitizeSchema(siblings, state);
+    }
+
+    // Recursive definitions cannot be inlined; the recursive branch accepts any value instead
+    if (state.refStack.includes($ref)) {
+      changes.push(`${path}: replaced recursive $ref "${$ref}" with {}`);
+      return this._sanitizeSchema(siblings, state);
+    }
+
+    changes.push(`${path}: inlined $ref "${$ref}"`);
+    return this._sanitizeSchema(
+      typeof target === 'object' && target !== null && !Array.isArray(target)
+        ? { ...target, ...siblings }
+        : target,
+      { ...state, depth: state.depth + 1, refStack: [...state.refStack, $ref] }
+    );
+  }
+
+  /**
+   * Transform Mistral usage to unified format
+   * @private
+   */
+  _transformUsage(usage) {
+    const defaultUsage = {
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0
+    };
+
+    if (!usage || typeof usage !== 'object') {
+      return defaultUsage;
+    }
+
+    return {
+      prompt_tokens: this._validateTokenCount(usage.prompt_tokens),
+      completion_tokens: this._validateTokenCount(usage.completion_tokens),
+      total_tokens: this._validateTokenCount(usage.total_tokens)
+    };
+  }
+
+  /**
+   * Validate and normalize token count
+   * @private
+   */
+  _validateTokenCount(count) {
+    if (count === undefined || count === null) {
+      return 0;
+    }
+    const numericCount = Number(count);
+    return isNaN(numericCount) || numericCount < 0 ? 0 : Math.floor(numericCount);
+  }
+
+  /**
+   * Check if response is an SSE chunk
+   * @private
+   */
+  _isSSEChunk(response) {
+    if (!response) {
+      return false;
+    }
+
+    // Handle string responses (raw SSE)
+    if (typeof response === 'string') {
+      return response.includes('data:') || response.includes('[DONE]');
+    }
+
+    // Handle object responses
+    if (typeof response === 'object') {
+      // Check for SSE-specific patterns
+      return (
+        response.hasOwnProperty('data') ||
+        response.hasOwnProperty('event') ||
+        response.hasOwnProperty('chunk') ||
+        response.type === 'stream' ||
+        (response.choices && Array.isArray(response.choices) &&
+         response.choices.some(choice => choice.hasOwnProperty('delta')))
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * Transform SSE chunk to unified streaming format
+   * @private
+   */
+  _transformSSEChunk(chunk, context) {
+    try {
+      this.logger.debug('Transforming SSE chunk', { chunk, context });
+
+      // Handle raw SSE string data
+      if (typeof chunk === 'string') {
+        return this._parseSSEString(chunk, context);
+      }
+
+      // Handle structured SSE chunk
+      const transformedChunks = [];
+
+      // Handle [DONE] event
+      if (chunk.event === 'done' || chunk.data === '[DONE]') {
+        return this._completeStreamSession(context);
+      }
+
+      // Parse data field if present
+      if (chunk.data) {
+        const dataChunks = this._parseSSEData(chunk.data, context);
+        transformedChunks.push(...dataChunks);
+      }
+
+      // Handle direct chunk structure; the session keeps one id, model and created time per stream
+      this._bindStreamSession(this._getStreamSession(context), chunk, context);
+
+      if (chunk.choices && Array.isArray(chunk.choices)) {
+        for (const choice of chunk.choices) {
+          const parsedChunk = this._parseStreamingChoice(choice, context);
+          if (parsedChunk) {
+            transformedChunks.push(parsedChunk);
+          }
+        }
+      } else if (chunk.delta) {
+        const parsedChunk = this._parseStreamingChoice({ delta: chunk.delta }, context);
+        if (parsedChunk) {
+          transformedChunks.push(parsedChunk);
+        }
+      }
+
+      if (chunk.usage) {
+        this._attachStreamUsage(transformedChunks, chunk.usage, this._getStreamSession(context), context);
+      }
+
+      return transformedChunks;
+    } catch (error) {
+      this.logger.error('SSE chunk transformation failed', {
+        error: error.message,
+        chunk,
+        stack: error.stack
+      });
+      // Return empty array to avoid breaking the stream
+      return [];
+    }
+  }
+
+  /**
+   * Parse SSE data string into chunks
+   * @private
+   */
+  _parseSSEString(dataString, context) {
+    const chunks = [];
+    const session = this._getStreamSession(context);
+    session.sseDecoder = session.sseDecoder || this._createSSEDecoder();
+
+    const events = session.sseDecoder.push(dataString);
+
+    // Without a request key there is no later call to complete a trailing event, so flush it now
+    if (!context?.streamSession && this._getRequestKey(context) === null) {
+      events.push(...session.sseDecoder.end());
+    }
+
+    for (const event of events) {
+      const payload = this._parseSSEEventPayload(event);
+
+      if (payload?.done) {
+        chunks.push(...this._completeStreamSession(context));
+      } else if (payload) {
+        chunks.push(...this._parseSSEData(payload.data, context));
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Create an incremental Server-Sent Events decoder
+   * Follows the WHATWG event-stream format: partial lines are buffered across reads, LF, CR and
+   * CRLF all end a line (including a CRLF split between reads), multi-line data fields are joined
+   * with \n, comment lines go to onComment (or are ignored), and a blank line dispatches the event
+   * @private
+   */
+  _createSSEDecoder({ onComment = null } = {}) {
+    let buffer = '';
+    let started = false;
+    let dataLines = [];
+    let eventType = '';
+    let lastEventId = '';
+
+    const processLine = (line, events) => {
+      if (line === '') {
+        if (dataLines.length > 0) {
+          events.push({ event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId });
+        }
+        dataLines = [];
+        eventType = '';
+        return;
+      }
+
+      if (line.startsWith(':')) {
+        if (onComment) {
+          onComment(line.slice(1));
+        }
+        return;
+      }
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+
+      if (field === 'data') {
+        dataLines.push(value);
+      } else if (field === 'event') {
+        eventType = value;
+      } else if (field === 'id' && !value.includes('\0')) {
+        lastEventId = value;
+      }
+    };
+
+    return {
+      push: (text) => {
+        const events = [];
+        buffer += text;
+
+        if (!started && buffer.length > 0) {
+          started = true;
+          if (buffer.charCodeAt(0) === 0xFEFF) {
+            buffer = buffer.slice(1);
+          }
+        }
+
+        const lineBreak = /\r\n|\r|\n/g;
+        let lineStart = 0;
+        let match;
+
+        while ((match = lineBreak.exec(buffer)) !== null) {
+          // A trailing CR may be the first half of a CRLF split across reads
+          if (match[0] === '\r' && match.index === buffer.length - 1) {
+            break;
+          }
+
+          processLine(buffer.slice(lineStart, match.index), events);
+          lineStart = lineBreak.lastIndex;
+        }
+
+        buffer = buffer.slice(lineStart);
+        return events;
+      },
+
+      // Dispatches a final event even when the stream ends without its blank line
+      end: () => {
+        const events = [];
+
+        if (buffer) {
+          processLine(buffer.replace(/\r$/, ''), events);
+          buffer = '';
+        }
+        processLine('', events);
+
+        return events;
+      }
+    };
+  }
+
+  /**
+   * Interpret a decoded SSE event: [DONE], a JSON payload, or null when it cannot be parsed
+   * @private
+   */
+  _parseSSEEventPayload(event) {
+    const data = event.data.trim();
+
+    if (data === '[DONE]') {
+      return { done: true };
+    }
+
+    try {
+      const parsedData = JSON.parse(data);
+
+      // `event: error` payloads may carry the error fields at the top level
+      if (event.event === 'error' && parsedData && typeof parsedData === 'object' && !parsedData.error) {
+        return { data: { error: parsedData } };
+      }
+
+      return { data: parsedData };
+    } catch (parseError) {
+      this.logger.warn('Failed to parse SSE data', {
+        data,
+        event: event.event,
+        error: parseError.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Parse SSE data object into streaming chunks
+   * @private
+   */
+  _parseSSEData(data, context) {
+    const chunks = [];
+
+    if (!data || typeof data !== 'object') {
+      return chunks;
+    }
+
+    const session = this._getStreamSession(context);
+
+    // Handle error in streaming
+    if (data.error) {
+      this._finalizeStreamSession(session, context, { emitPending: false });
+      chunks.push({
+        event: 'error',
+        object: 'stream.chunk',
+        id: session.id || `chunk-error-${Date.now()}`,
+        error: this._transformErrorResponse(data, context),
+        provider: {
+          name: 'mistral',
+          type: 'api',
+          responseType: 'streaming'
+        }
+      });
+      return chunks;
+    }
+
+    // Handle streaming choice data
+    if (data.choices && Array.isArray(data.choices)) {
+      this._bindStreamSession(session, data, context);
+
+      for (const choice of data.choices) {
+        const chunk = this._parseStreamingChoice(choice, context);
+        if (chunk) {
+          chunks.push(chunk);
+        }
+      }
+    }
+
+    // Mistral reports token usage on the final chunk of the stream
+    if (data.usage) {
+      this._bindStreamSession(session, data, context);
+      this._attachStreamUsage(chunks, data.usage, session, context);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Capture streamed usage on the session and attach it to the payload's last chunk
+   * Usage that arrives without choices gets a usage-only chunk; tokens are counted once per stream
+   * @private
+   */
+  _attachStreamUsage(chunks, usage, session, context) {
+    session.usage = this._transformUsage(usage);
+
+    if (!session.usageRecorded) {
+      session.usageRecorded = true;
+      this._recordTokenUsage(session.model || context?.model, session.usage);
+    }
+
+    if (chunks.length > 0) {
+      chunks[chunks.length - 1].usage = session.usage;
+      return chunks;
+    }
+
+    chunks.push({
+      object: 'stream.chunk',
+      id: session.id,
+      created: session.created,
+      model: session.model,
+      usage: session.usage,
+      provider: {
+        name: 'mistral',
+        type: 'api',
+        responseType: 'streaming'
+      }
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Parse streaming choice into unified chunk format
+   * @private
+   */
+  _parseStreamingChoice(choice, context) {
+    if (!choice || typeof choice !== 'object') {
+      return null;
+    }
+
+    const session = this._bindStreamSession(this._getStreamSession(context), {}, context);
+
+    const chunk = {
+      object: 'stream.chunk',
+      id: session.id,
+      index: choice.index || 0,
+      created: session.created,
+      model: choice.model || session.model,
+      provider: {
+        name: 'mistral',
+        type: 'api',
+        responseType: 'streaming'
+      }
+    };
+
+    // Handle delta content; the assistant role is sent once per choice
+    if (choice.delta && typeof choice.delta === 'object') {
+      chunk.delta = this._transformDelta(choice.delta);
+
+      if (session.rolesSent.has(chunk.index)) {
+        delete chunk.delta.role;
+      } else {
+        chunk.delta.role = chunk.delta.role || 'assistant';
+        session.rolesSent.add(chunk.index);
+      }
+    }
+
+    // Handle message structure
+    if (choice.message && typeof choice.message === 'object') {
+      chunk.message = this._transformChoiceMessage(choice.message, choice.index || 0, context);
+    }
+
+    // Handle finish reason
+    if (choice.finish_reason) {
+      chunk.finish_reason = this._validateFinishReason(choice.finish_reason);
+    }
+
+    const hasToolCalls = Array.isArray(choice.delta?.tool_calls) && choice.delta.tool_calls.length > 0;
+    const hasContent = typeof chunk.delta?.content === 'string';
+
+    // Handle tool calls in streaming; fragments are merged across chunks of the same stream
+    const accumulator = session.toolCallAccumulator;
+    const toolCalls = hasToolCalls
+      ? this._transformStreamingToolCalls(choice.delta.tool_calls, chunk.index, accumulator, context)
+      : [];
+
+    // Tool calls written into the text are held back and recovered when the choice finishes
+    const detectors = session.textToolCallDetectors;
+
+    if (hasContent) {
+      if (!detectors.has(chunk.index)) {
+        detectors.set(chunk.index, this._createTextToolCallDetector());
+      }
+
+      chunk.delta.content = detectors.get(chunk.index).push(chunk.delta.content);
+      if (!chunk.delta.content) {
+        delete chunk.delta.content;
+      }
+    }
+
+    if (chunk.finish_reason) {
+      const detector = detectors.get(chunk.index);
+      detectors.delete(chunk.index);
+
+      if (detector) {
+        const { text, toolCalls: textToolCalls } = detector.finish();
+
+        if (text) {
+          chunk.delta = chunk.delta || {};
+          chunk.delta.content = (chunk.delta.content || '') + text;
+        }
+
+        if (textToolCalls.length > 0) {
+          const baseIndex = accumulator.getCallCount(chunk.index);
+          textToolCalls.forEach((toolCall, offset) => {
+            toolCalls.push(...this._transformStreamingToolCalls([{
+              index: baseIndex + offset,
+              function: toolCall
+            }], chunk.index, accumulator, context));
+          });
+          chunk.finish_reason = 'tool_calls';
+        }
+      }
+
+      toolCalls.push(...accumulator.finish(chunk.index));
+    }
+
+    if (toolCalls.length > 0) {
+      chunk.delta = chunk.delta || {};
+      chunk.delta.tool_calls = toolCalls;
+    }
+
+    return chunk;
+  }
+
+  /**
+   * Transform delta content for streaming
+   * @private
+   */
+  _transformDelta(delta) {
+    const transformedDelta = {};
+
+    if (delta.role) {
+      transformedDelta.role = this._validateMessageRole(delta.role);
+    }
+
+    if (Array.isArray(delta.content)) {
+      // Magistral streams thinking and text as content chunks
+      const thinking = this._extractThinkingContent(delta.content);
+      if (thinking) {
+        transformedDelta.thinking = { content: thinking };
+      }
+
+      const text = this._validateMessageContent(delta.content);
+      if (text) {
+        transformedDelta.content = text;
+      }
+    } else if (delta.content !== undefined && delta.content !== null) {
+      transformedDelta.content = this._validateMessageContent(delta.content);
+    }
+
+    return transformedDelta;
+  }
+
+  /**
+   * Check if response is an error response
+   * @private
+   */
+  _isErrorResponse(response) {
+    if (!response || typeof response !== 'object') {
+      return false;
+    }
+
+    return (
+      response.error ||
+      response.status_code ||
+      (response.status && response.status >= 400) ||
+      response.type === 'error' ||
+      (response.message && typeof response.message === 'string' && response.message.includes('error'))
+    );
+  }
+
+  /**
+   * Transform error response to unified format
+   * @private
+   */
+  _transformErrorResponse(response, context) {
+    const errorCode = response.status_code || response.status || 500;
+    const errorMessage = response.error?.message || response.message || response.error || 'Unknown error';
+
+    return {
+      id: response.id || `error-${Date.now()}`,
+      object: 'error',
+      created: response.created || Math.floor(Date.now() / 1000),
+      model: response.model || 'unknown',
+      error: {
+        code: errorCode,
+        message: errorMessage,
+        type: response.error?.type || 'api_error',
+        param: response.error?.param,
+        status: errorCode
+      },
+      provider: {
+        name: 'mistral',
+        type: 'api',
+        responseType: 'error'
+      }
+    };
+  }
+
+  /**
+   * Transform streaming error response
+   * @private
+   */
+  _transformStreamingErrorResponse(response, context) {
+    const errorCode = response.status_code || response.status || 500;
+    const errorMessage = response.error?.message || response.message || response.error || 'Streaming error';
+
+    return {
+      id: response.id || `stream-error-${Date.now()}`,
+      object: 'stream.error',
+      created: response.created || Math.floor(Date.now() / 1000),
+      model: response.model || 'unknown',
+      error: {
+        code: errorCode,
+        message: errorMessage,
+        type: response.error?.type || 'stream_error',
+        param: response.error?.param,
+        status: errorCode
+      },
+      provider: {
+        name: 'mistral',
+        type: 'api',
+        responseType: 'streaming'
+      }
+    };
+  }
+
+  /**
+   * Validate response structure
+   * @private
+   */
+  _validateResponseStructure(response, context) {
+    if (!response) {
+      throw new Error('Invalid Mistral response: must be an object');
+    }
+
+    // Handle string responses (could be raw SSE)
+    if (typeof response === 'string') {
+      // Only allow SSE-formatted strings
+      if (!response.includes('data:') && !response.includes('[DONE]')) {
+        throw new Error('Invalid Mistral response: must be an object');
+      }
+      return;
+    }
+
+    if (typeof response !== 'object') {
+      throw new Error('Invalid Mistral response: must be an object');
+    }
+
+    // Skip validation for streaming chunks - they have different structure
+    if (this._isSSEChunk(response) || response.type === 'stream' || (context && context.stream)) {
+      return;
+    }
+
+    // For successful responses, validate required structure
+    if (!this._isErrorResponse(response)) {
+      // Check for valid choices array
+      if (!response.choices || !Array.isArray(response.choices)) {
+        throw new Error('Invalid Mistral response: missing or invalid choices array');
+      }
+
+      // Validate each choice
+      response.choices.forEach((choice, index) => {
+        if (!choice || typeof choice !== 'object') {
+          throw new Error(`Invalid choice at index ${index}: must be an object`);
+        }
+
+        // Check if this is a streaming choice with delta
+        if (choice.delta && typeof choice.delta === 'object') {
+          // Streaming choice - validate delta structure
+          if (choice.delta.content === undefined && !choice.delta.tool_calls && !choice.delta.role) {
+            // Allow empty delta for streaming (it could be just finishing)
+          }
+          return;
+        }
+
+        // Regular choice - validate message structure
+        if (!choice.message || typeof choice.message !== 'object') {
+          throw new Error(`Invalid message in choice ${index}: must be an object`);
+        }
+
+        if (!choice.message.role || typeof choice.message.role !== 'string') {
+          throw new Error(`Invalid role in choice ${index}: must be a string`);
+        }
+
+        if (choice.message.content === undefined && !choice.message.tool_calls) {
+          throw new Error(`Invalid content in choice ${index}: must have content or tool_calls`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get validated response ID
+   * @private
+   */
+  _getResponseId(response) {
+    if (response.id && typeof response.id === 'string') {
+      return response.id;
+    }
+    return `mistral-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  /**
+   * Get created timestamp
+   * @private
+   */
+  _getCreatedTimestamp(response) {
+    if (response.created && typeof response.created === 'number') {
+      return response.created;
+    }
+    return Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * Get response type
+   * @private
+   */
+  _getResponseType(response) {
+    if (this._isErrorResponse(response)) {
+      return 'error';
+    }
+    if (response.stream || this._isSSEChunk(response) || response.type === 'stream') {
+      return 'streaming';
+    }
+    return 'completion';
+  }
+
+  /**
+   * Transform Mistral choices to unified format
+   * @private
+   */
+  _transformChoices(choices, context) {
+    if (!Array.isArray(choices)) {
+      return [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: ''
+        },
+        finish_reason: 'stop'
+      }];
+    }
+
+    return choices.map((choice, index) => {
+      const indexValue = choice.index !== undefined ? choice.index : index;
+      const message = this._transformChoiceMessage(choice.message, indexValue, context);
+
+      // Tool calls recovered from the text finish the choice like structured ones
+      const recoveredToolCalls = (message.tool_calls?.length || 0) > (choice.message?.tool_calls?.length || 0);
+
+      return {
+        index: indexValue,
+        message,
+        finish_reason: recoveredToolCalls ? 'tool_calls' : this._validateFinishReason(choice.finish_reason),
+        logprobs: choice.logprobs
+      };
+    });
+  }
+
+  /**
+   * Transform choice message with validation
+   * @private
+   */
+  _transformChoiceMessage(message, index, context) {
+    if (!message || typeof message !== 'object') {
+      this.logger.warn(`Invalid message in choice ${index}, using default message`);
+      return {
+        role: 'assistant',
+        content: ''
+      };
+    }
+
+    const transformedMessage = {
+      role: this._validateMessageRole(message.role),
+      content: this._validateMessageContent(message.content)
+    };
+
+    // Surface Magistral thinking chunks as unified thinking content
+    const thinking = this._extractThinkingContent(message.content);
+    if (thinking) {
+      transformedMessage.thinking = { content: thinking };
+    }
+
+    // Handle tool calls if present
+    if (message.tool_calls && Array.isArray(message.tool_calls)) {
+      transformedMessage.tool_calls = this._transformToolCalls(message.tool_calls, index, context);
+    }
+
+    // Recover tool calls Devstral wrote into the text instead of tool_calls
+    if (typeof transformedMessage.content === 'string') {
+      const recovered = this._recoverTextToolCalls(transformedMessage.content, index, context);
+      transformedMessage.content = recovered.content;
+
+      if (recovered.toolCalls.length > 0) {
+        transformedMessage.tool_calls = [...(transformedMessage.tool_calls || []), ...recovered.toolCalls];
+      }
+    }
+
+    return transformedMessage;
+  }
+
+  /**
+   * Validate and normalize message role
+   * @private
+   */
+  _validateMessageRole(role) {
+    const validRoles = ['user', 'assistant', 'system', 'tool'];
+    if (role && validRoles.includes(role)) {
+      return role;
+    }
+    return 'assistant';
+  }
+
+  /**
+   * Validate and normalize response message content
+   * Text chunks are joined verbatim so whitespace-only parts and chunk boundaries survive
+   * @private
+   */
+  _validateMessageContent(content) {
+    if (Array.isArray(content)) {
+      return content
+        .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+        .map(block => block.text)
+        .join('');
+    }
+
+    return this._extractTextContent(content);
+  }
+
+  /**
+   * Transform tool calls with validation
+   * @private
+   */
+  _transformToolCalls(toolCalls, choiceIndex, context) {
+    return toolCalls.map((toolCall, index) => {
+      if (!toolCall || typeof toolCall !== 'object') {
+        this.logger.warn(`Invalid tool call at choice ${choiceIndex}, index ${index}`);
+        return {
+          id: `call_${Date.now()}_${choiceIndex}_${index}`,
+          type: 'function',
+          function: {
+            name: 'unknown',
+            arguments: '{}'
+          }
+        };
+      }
+
+      return {
+        id: toolCall.id
+          ? this.toolIdMapper.toOriginal(toolCall.id)
+          : `call_${Date.now()}_${choiceIndex}_${index}`,
+        type: toolCall.type || 'function',
+        function: {
+          name: this._restoreToolName(toolCall.function?.name, context) || 'unknown',
+          arguments: typeof toolCall.function?.arguments === 'string'
+            ? this._repairToolArguments(toolCall.function.arguments, toolCall)
+            : JSON.stringify(toolCall.function?.arguments || {})
+        }
+      };
+    });
+  }
+
+  /**
+   * Repair a complete tool call arguments string, returning it unchanged when it is valid JSON
+   * @private
+   */
+  _repairToolArguments(argumentsText, toolCall) {
+    if (!this.repairToolArguments) {
+      return argumentsText;
+    }
+
+    try {
+      JSON.parse(argumentsText);
+      return argumentsText;
+    } catch {
+      const repairer = this._createJsonRepairer();
+      const repaired = repairer.write(argumentsText) + repairer.end();
+
+      this._recordToolArgumentRepair(argumentsText, repaired, repairer.getRepairs(), {
+        name: toolCall.function?.name,
+        id: toolCall.id
+      });
+
+      return repaired;
+    }
+  }
+
+  /**
+   * Record the outcome of a tool argument repair in metrics and logs
+   * @private
+   */
+  _recordToolArgumentRepair(original, repaired, repairs, toolCall) {
+    try {
+      JSON.parse(repaired);
+    } catch (error) {
+      this.performanceMetrics.toolArgumentRepairFailures++;
+      this.logger.warn('Could not repair malformed tool call arguments', {
+        ...toolCall,
+        original,
+        error: error.message
+      });
+      return false;
+    }
+
+    if (repairs.length > 0) {
+      this.performanceMetrics.toolArgumentRepairs++;
+      this.logger.warn('Repaired malformed tool call arguments', {
+        ...toolCall,
+        original,
+        repaired,
+        repairs
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Create an incremental repairer for JSON produced by the model
+   * Fixes single-quoted strings, \' escapes, raw control characters in strings, trailing commas
+   * and truncated strings/keys/objects. Valid JSON passes through unchanged, so it can be applied
+   * to streamed argument fragments as they arrive.
+   * @private
+   */
+  _createJsonRepairer() {
+    const controlEscapes = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '\b': '\\b', '\f': '\\f' };
+    const closers = [];
+    const repairs = new Set();
+    let inString = false;
+    let quote = null;
+    let escaped = false;
+    let pendingComma = '';
+    let lastSignificant = '';
+    let stringIsKey = false;
+    let awaitingColon = false;
+
+    const writeStringChar = (char) => {
+      if (escaped) {
+        escaped = false;
+        // \' is not a JSON escape; the quote needs no escaping in the double-quoted output
+        if (char === "'") {
+          if (quote === '"') {
+            repairs.add('removed invalid escapes');
+          }
+          return "'";
+        }
+        return `\\${char}`;
+      }
+
+      if (char === '\\') {
+        escaped = true;
+        return '';
+      }
+
+      if (char === quote) {
+        inString = false;
+        awaitingColon = stringIsKey;
+        lastSignificant = '"';
+        return '"';
+      }
+
+      if (char === '"') {
+        return '\\"';
+      }
+
+      if (char < ' ') {
+        repairs.add('escaped control characters in strings');
+        return controlEscapes[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+      }
+
+      return char;
+    };
+
+    const writeStructuralChar = (char) => {
+      let output = '';
+
+      // Commas are held back until the next token shows whether they are trailing
+      if (pendingComma) {
+        if (/\s/.test(char)) {
+          pendingComma += char;
+          return '';
+        }
+
+        if (char === '}' || char === ']') {
+          repairs.add('removed trailing commas');
+          output += pendingComma.slice(1);
+        } else {
+          output += pendingComma;
+        }
+        pendingComma = '';
+      }
+
+      if (char === ',') {
+        pendingComma = ',';
+        lastSignificant = ',';
+        return output;
+      }
+
+      if (char === '"' || char === "'") {
+        if (char === "'") {
+          repairs.add('replaced single-quoted strings');
+        }
+        inString = true;
+        quote = char;
+        stringIsKey = closers[closers.length - 1] === '}' && (lastSignificant === '{' || lastSignificant === ',');
+        return `${output}"`;
+      }
+
+      if (char === ':') {
+        awaitingColon = false;
+      }
+
+      if (char === '{') {
+        closers.push('}');
+      } else if (char === '[') {
+        closers.push(']');
+      } else if (char === '}' || char === ']') {
+        closers.pop();
+      }
+
+      if (!/\s/.test(char)) {
+        lastSignificant = char;
+      }
+
+      return output + char;
+    };
+
+    return {
+      write: (fragment) => {
+        let output = '';
+        for (const char of fragment) {
+          output += inString ? writeStringChar(char) : writeStructuralChar(char);
+        }
+        return output;
+      },
+
+      // Returns whatever must be appended to close a truncated value
+      end: () => {
+        let tail = '';
+
+        if (inString) {
+          repairs.add('closed unterminated string');
+          tail += '"';
+          inString = false;
+          awaitingColon = stringIsKey;
+          lastSignificant = '"';
+        }
+
+        if (pendingComma) {
+          repairs.add('removed trailing commas');
+          pendingComma = '';
+        }
+
+        // A key cut off before its value gets a null value
+        if (awaitingColon) {
+          repairs.add('filled missing value');
+          tail += ':null';
+          awaitingColon = false;
+        } else if (lastSignificant === ':') {
+          repairs.add('filled missing value');
+          tail += 'null';
+        }
+
+        if (closers.length > 0) {
+          repairs.add('closed truncated JSON');
+          tail += closers.reverse().join('');
+          closers.length = 0;
+        }
+
+        return tail;
+      },
+
+      getRepairs: () => [...repairs]
+    };
+  }
+
+  /**
+   * Transform streaming tool calls with incremental data support
+   * Returns the unified deltas for this chunk's fragments; nothing is emitted for a tool call
+   * until its name is known
+   * @private
+   */
+  _transformStreamingToolCalls(toolCalls, choiceIndex, accumulator, context) {
+    return toolCalls.flatMap((toolCall, position) => {
+      if (!toolCall || typeof toolCall !== 'object') {
+        this.logger.warn(`Invalid streaming tool call at choice ${choiceIndex}, index ${position}`);
+        return [];
+      }
+
+      const fragment = toolCall.function?.name
+        ? { ...toolCall, function: { ...toolCall.function, name: this._restoreToolName(toolCall.function.name, context) } }
+        : toolCall;
+
+      return accumulator.add(choiceIndex, fragment, position);
+    });
+  }
+
+  /**
+   * Create the session for one streamed completion
+   * Keeps a single completion id, model and created time across all chunks, tracks which
+   * choices have sent their role, and owns the stream's tool call accumulator and text detectors
+   * @private
+   */
+  _createStreamSession() {
+    return {
+      id: null,
+      model: null,
+      created: null,
+      rolesSent: new Set(),
+      usage: null,
+      usageRecorded: false,
+      finished: false,
+      toolCallAccumulator: this._createToolCallAccumulator(),
+      textToolCallDetectors: new Map()
+    };
+  }
+
+  /**
+   * Get the stream session for a context
+   * Fetch streams carry their own session; chunk-by-chunk callers share one through the request state
+   * @private
+   */
+  _getStreamSession(context) {
+    if (context?.streamSession) {
+      return context.streamSession;
+    }
+
+    const state = this._getRequestState(context, true);
+    if (!state) {
+      return this._createStreamSession();
+    }
+
+    if (!state.streamSession) {
+      state.streamSession = this._createStreamSession();
+    }
+
+    return state.streamSession;
+  }
+
+  /**
+   * Fix the session's completion id, model and created time from the first payload that carries them
+   * @private
+   */
+  _bindStreamSession(session, data, context) {
+    if (!session.id) {
+      session.id = this._getResponseId(data || {});
+      session.model = data?.model || context?.model;
+      session.created = this._getCreatedTimestamp(data || {});
+    }
+
+    return session;
+  }
+
+  /**
+   * Finish a stream session, closing choices the provider never finished
+   * Returns the closing chunks; with emitPending false (errors) pending output is discarded
+   * @private
+   */
+  _finalizeStreamSession(session, context, { emitPending = true } = {}) {
+    if (session.finished) {
+      return [];
+    }
+
+    const pendingChoices = new Set([
+      ...session.textToolCallDetectors.keys(),
+      ...session.toolCallAccumulator.getChoiceIndices()
+    ]);
+
+    // Choices whose tool call headers already went out close as tool calls
+    const chunks = emitPending
+      ? [...pendingChoices]
+        .map(index => this._parseStreamingChoice({
+          index,
+          delta: {},
+          finish_reason: session.toolCallAccumulator.getEmittedCount(index) > 0 ? 'tool_calls' : 'stop'
+        }, context))
+        .filter(Boolean)
+      : [];
+
+    session.finished = true;
+    session.textToolCallDetectors.clear();
+
+    if (pendingChoices.size > 0) {
+      this.logger.debug('Stream ended with unfinished choices', {
+        completionId: session.id,
+        choices: [...pendingChoices],
+        emitted: emitPending
+      });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Handle [DONE] for chunk-by-chunk callers: close the session and emit the done chunk
+   * @private
+   */
+  _completeStreamSession(context) {
+    const session = this._getStreamSession(context);
+    const chunks = this._finalizeStreamSession(session, context);
+
+    const doneChunk = {
+      event: 'done',
+      object: 'stream.chunk',
+      id: session.id || `chunk-done-${Date.now()}`,
+      provider: {
+        name: 'mistral',
+        type: 'api',
+        responseType: 'streaming'
+      }
+    };
+
+    if (session.usage) {
+      doneChunk.usage = session.usage;
+    }
+
+    chunks.push(doneChunk);
+
+    this._clearRequestState(context);
+    return chunks;
+  }
+
+  /**
+   * Create an accumulator that merges streamed tool call fragments by choice and index
+   * The first delta of a call carries its id and name; later deltas only carry argument fragments
+   * @private
+   */
+  _createToolCallAccumulator() {
+    const calls = new Map();
+
+    const emitHeader = (call) => {
+      call.headerSent = true;
+      return {
+        index: call.index,
+        id: call.id,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: call.arguments
+        }
+      };
+    };
+
+    return {
+      add: (choiceIndex, fragment, position) => {
+        const index = Number.isInteger(fragment.index) ? fragment.index : position;
+        const key = `${choiceIndex}:${index}`;
+
+        let call = calls.get(key);
+        if (!call) {
+          call = {
+            choiceIndex,
+            index,
+            id: null,
+            name: null,
+            arguments: '',
+            original: '',
+            repairer: this.repairToolArguments ? this._createJsonRepairer() : null,
+            headerSent: false
+          };
+          calls.set(key, call);
+        }
+
+        if (fragment.id && !call.id) {
+          call.id = this.toolIdMapper.toOriginal(fragment.id);
+        }
+
+        if (fragment.function?.name && !call.name) {
+          call.name = String(fragment.function.name);
+        }
+
+        const rawArguments = fragment.function?.arguments;
+        const rawFragment = rawArguments === undefined || rawArguments === null
+          ? ''
+          : typeof rawArguments === 'string' ? rawArguments : JSON.stringify(rawArguments);
+        const argumentFragment = call.repairer ? call.repairer.write(rawFragment) : rawFragment;
+        call.original += rawFragment;
+        call.arguments += argumentFragment;
+
+        if (!call.headerSent) {
+          if (!call.name) {
+            return [];
+          }
+
+          call.id = call.id || `call_${Date.now()}_${choiceIndex}_${index}`;
+          return [emitHeader(call)];
+        }
+
+        return argumentFragment
+          ? [{ index, function: { arguments: argumentFragment } }]
+          : [];
+      },
+
+      finish: (choiceIndex) => {
+        const deltas = [];
+
+        for (const [key, call] of calls) {
+          if (call.choiceIndex !== choiceIndex) {
+            continue;
+          }
+          calls.delete(key);
+
+          if (!call.headerSent) {
+            this.logger.warn('Dropping streamed tool call that never received a name', {
+              choiceIndex,
+              index: call.index,
+              arguments: call.arguments
+            });
+            continue;
+          }
+
+          if (call.arguments.trim() === '') {
+            call.arguments = '{}';
+            deltas.push({ index: call.index, function: { arguments: '{}' } });
+            continue;
+          }
+
+          if (!call.repairer) {
+            try {
+              JSON.parse(call.arguments);
+            } catch (error) {
+              this.logger.warn('Streamed tool call arguments are not valid JSON', {
+                name: call.name,
+                id: call.id,
+                arguments: call.arguments,
+                error: error.message
+              });
+            }
+            continue;
+          }
+
+          // Fragments were repaired as they streamed; close anything left open by truncation
+          const tail = call.repairer.end();
+          if (tail) {
+            call.arguments += tail;
+            deltas.push({ index: call.index, function: { arguments: tail } });
+          }
+
+          this._recordToolArgumentRepair(call.original, call.arguments, call.repairer.getRepairs(), {
+            name: call.name,
+            id: call.id
+          });
+        }
+
+        return deltas;
+      },
+
+      getPendingCount: () => calls.size,
+
+      getCallCount: (choiceIndex) => [...calls.values()].filter(call => call.choiceIndex === choiceIndex).length,
+
+      getEmittedCount: (choiceIndex) => [...calls.values()]
+        .filter(call => call.choiceIndex === choiceIndex && call.headerSent).length,
+
+      getChoiceIndices: () => [...new Set([...calls.values()].map(call => call.choiceIndex))]
+    };
+  }
+
+  /**
+   * Create a detector for tool calls Devstral writes into streamed text
+   * Text after [TOOL_CALLS] is buffered until the choice finishes. A trailing partial special
+   * token, or a trailing run of complete ones, is held back until the next chunk shows whether
+   * it completes or ends the text
+   * @private
+   */
+  _createTextToolCallDetector() {
+    const tokens = [TOOL_CALLS_TOKEN, ...LEAKED_SPECIAL_TOKENS];
+    const longestToken = Math.max(...tokens.map(token => token.length));
+    let pending = '';
+    let toolCallText = null;
+    let started = false;
+
+    const splitPartialToken = (text) => {
+      for (let start = Math.max(0, text.length - longestToken); start < text.length; start++) {
+        const tail = text.slice(start);
+        if ((tail[0] === '[' || tail[0] === '<') && tokens.some(token => token.startsWith(tail) && token !== tail)) {
+          return [text.slice(0, start), tail];
+        }
+      }
+      return [text, ''];
+    };
+
+    // Only text at the very start of the message can carry leading tokens
+    const emit = (text, trailing) => {
+      const output = this._stripSpecialTokens(text, { leading: !started, trailing });
+      started = started || output !== '';
+      return output;
+    };
+
+    return {
+      push: (fragment) => {
+        if (toolCallText !== null) {
+          toolCallText += fragment;
+          return '';
+        }
+
+        const text = pending + fragment;
+        const markerIndex = text.indexOf(TOOL_CALLS_TOKEN);
+        if (markerIndex !== -1) {
+          pending = '';
+          toolCallText = text.slice(markerIndex);
+          return emit(text.slice(0, markerIndex), true);
+        }
+
+        const [body, partial] = splitPartialToken(text);
+        const trailingTokens = body.match(TRAILING_SPECIAL_TOKENS)?.[0] || '';
+        pending = trailingTokens + partial;
+        return emit(body.slice(0, body.length - trailingTokens.length), false);
+      },
+
+      finish: () => {
+        if (toolCallText === null) {
+          const text = emit(pending, true);
+          pending = '';
+          return { text, toolCalls: [] };
+        }
+
+        const toolCalls = this._parseTextToolCalls(toolCallText);
+        if (!toolCalls) {
+          this.logger.warn('Could not parse tool calls written into message text', { text: toolCallText });
+          return { text: this._stripSpecialTokens(toolCallText.slice(TOOL_CALLS_TOKEN.length)), toolCalls: [] };
+        }
+
+        return { text: '', toolCalls };
+      }
+    };
+  }
+
+  /**
+   * Remove leaked control tokens from the start and/or end of model text
+   * Only structural positions are stripped, so <s>, </s> or [INST] inside HTML or code survive
+   * @private
+   */
+  _stripSpecialTokens(text, { leading = true, trailing = true } = {}) {
+    let result = text;
+
+    if (leading) {
+      result = result.replace(LEADING_SPECIAL_TOKENS, '');
+    }
+    if (trailing) {
+      result = result.replace(TRAILING_SPECIAL_TOKENS, '');
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse tool calls Devstral wrote as text after [TOOL_CALLS]
+   * Supports the JSON list form ([TOOL_CALLS][{"name": ..., "arguments": ...}]) and the
+   * tokenized form ([TOOL_CALLS]name[ARGS]{...}); returns null when nothing can be parsed
+   * @private
+   */
+  _parseTextToolCalls(text) {
+    const segments = text
+      .split(TOOL_CALLS_TOKEN)
+      .map(segment => this._stripSpecialTokens(segment).trim())
+      .filter(Boolean);
+
+    const toolCalls = [];
+
+    for (const segment of segments) {
+      const tokenized = segment.match(/^([a-zA-Z0-9_-]+)(?:\[CALL_ID\][a-zA-Z0-9]+)?\[ARGS\]([\s\S]*)$/);
+      if (tokenized) {
+        toolCalls.push({ name: tokenized[1], arguments: tokenized[2].trim() || '{}' });
+        continue;
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(segment);
+      } catch {
+        const repairer = this._createJsonRepairer();
+        try {
+          parsed = JSON.parse(repairer.write(segment) + repairer.end());
+        } catch {
+          return null;
+        }
+      }
+
+      for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+        const name = item?.name || item?.function?.name;
+        if (typeof name !== 'string' || !name) {
+          return null;
+        }
+
+        const args = item.arguments ?? item.parameters ?? item.function?.arguments ?? {};
+        toolCalls.push({ name, arguments: typeof args === 'string' ? args : JSON.stringify(args) });
+      }
+    }
+
+    return toolCalls.length > 0 ? toolCalls : null;
+  }
+
+  /**
+   * Recover tool calls written into a complete message text and strip leaked tokens
+   * @private
+   */
+  _recoverTextToolCalls(content, choiceIndex, context) {
+    const markerIndex = content.indexOf(TOOL_CALLS_TOKEN);
+    if (markerIndex === -1) {
+      return { content: this._stripSpecialTokens(content), toolCalls: [] };
+    }
+
+    const parsed = this._parseTextToolCalls(content.slice(markerIndex));
+    if (!parsed) {
+      this.logger.warn('Could not parse tool calls written into message text', { text: content.slice(markerIndex) });
+      return { content: this._stripSpecialTokens(content.split(TOOL_CALLS_TOKEN).join('')), toolCalls: [] };
+    }
+
+    this.logger.info('Recovered tool calls written into message text', {
+      choiceIndex,
+      names: parsed.map(toolCall => toolCall.name)
+    });
+
+    return {
+      content: this._stripSpecialTokens(content.slice(0, markerIndex)).trim(),
+      toolCalls: this._transformToolCalls(
+        parsed.map(toolCall => ({ type: 'function', function: toolCall })),
+        choiceIndex,
+        context
+      )
+    };
+  }
+
+  /**
+   * Validate finish reason
+   * @private
+   */
+  _validateFinishReason(reason) {
+    const validReasons = ['stop', 'length', 'tool_calls', 'content_filter', 'null'];
+    if (reason && validReasons.includes(reason)) {
+      return reason;
+    }
+    return 'stop';
+  }
+
+  /**
+   * Validate streaming message role
+   * @private
+   */
+  _validateStreamingRole(role) {
+    const validRoles = ['user', 'assistant', 'system', 'tool'];
+    if (role && validRoles.includes(role)) {
+      return role;
+    }
+    return 'assistant';
+  }
+
+  /**
+   * Validate streaming message content
+   * @private
+   */
+  _validateStreamingContent(content) {
+    if (content === null || content === undefined) {
+      return '';
+    }
+    if (typeof content === 'string') {
+      return content;
+    }
+    // Handle incremental content in streaming
+    return String(content);
+  }
+
+
+  /**
+   * Validate request with context-aware validation
+   * @private
+   */
+  _validateRequestWithContext(request, context) {
+    try {
+      this._validateRequest(request);
+
+      // Additional context-aware validation
+      if (context) {
+        // Validate streaming context
+        if (context.stream && request.stream === undefined) {
+          this.logger.warn('Stream context detected but request.stream not set');
+        }
+
+        // Validate rate limiting context
+        if (context.rateLimited) {
+          this.logger.info('Processing rate-limited request');
+        }
+      }
+    } catch (error) {
+      // Add context information to validation errors
+      throw this._createValidationError(error.message, request, context);
+    }
+  }
+
+  /**
+   * Categorize error for better error handling
+   * @private
+   */
+  _categorizeError(error, request, context) {
+    const errorMessage = error.message || 'Unknown error';
+
+    // Circuit breaker rejections already carry their category and retry information
+    if (error.type === 'CIRCUIT_OPEN_ERROR') {
+      return error;
+    }
+
+    // Categorize by error type
+    if (errorMessage.includes('Invalid') || errorMessage.includes('missing') || errorMessage.includes('required')) {
+      return this._createValidationError(errorMessage, request, context);
+    }
+
+    if (errorMessage.includes('network') || errorMessage.includes('timeout') || errorMessage.includes('connection')) {
+      return this._createNetworkError(errorMessage, error.stack, request, context);
+    }
+
+    if (errorMessage.includes('rate limit') || errorMessage.includes('quota') || errorMessage.includes('too many')) {
+      return this._createRateLimitError(errorMessage, error.stack, request, context);
+    }
+
+    // Default to internal error
+    return this._createInternalError(errorMessage, error.stack, request, context);
+  }
+
+  /**
+   * Create validation error with recovery information
+   * @private
+   */
+  _createValidationError(message, request, context) {
+    const error = new Error(`Validation Error: ${message}`);
+    error.type = 'VALIDATION_ERROR';
+    error.recoverable = false;
+    error.requestId = request.id;
+    error.context = context;
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Create network error with retry information
+   * @private
+   */
+  _createNetworkError(message, stack, request, context) {
+    const error = new Error(`Network Error: ${message}`);
+    error.type = 'NETWORK_ERROR';
+    error.recoverable = true;
+    error.retryCount = (context?.retryCount || 0) + 1;
+    error.maxRetries = this.maxRetries;
+    error.requestId = request.id;
+    error.stack = stack;
+    error.statusCode = 503;
+    return error;
+  }
+
+  /**
+   * Create rate limit error with backoff information
+   * @private
+   */
+  _createRateLimitError(message, stack, request, context) {
+    const error = new Error(`Rate Limit Error: ${message}`);
+    error.type = 'RATE_LIMIT_ERROR';
+    error.recoverable = true;
+    error.retryCount = (context?.retryCount || 0) + 1;
+    error.retryAfter = context?.retryAfter || this.retryDelay;
+    error.requestId = request.id;
+    error.stack = stack;
+    error.statusCode = 429;
+    return error;
+  }
+
+  /**
+   * Create circuit open error with the time until the breaker allows a probe
+   * @private
+   */
+  _createCircuitOpenError(key, retryAfter, request, context) {
+    const error = new Error(`Circuit Open: Mistral circuit breaker is open for ${key}`);
+    error.type = 'CIRCUIT_OPEN_ERROR';
+    error.recoverable = true;
+    error.retryAfter = retryAfter;
+    error.requestId = request.id;
+    error.context = context;
+    error.statusCode = 503;
+    return error;
+  }
+
+  /**
+   * Create internal error with diagnostic information
+   * @private
+   */
+  _createInternalError(message, stack, request, context) {
+    const error = new Error(`Internal Error: ${message}`);
+    error.type = 'INTERNAL_ERROR';
+    error.recoverable = false;
+    error.requestId = request.id;
+    error.stack = stack;
+    error.context = context;
+    error.statusCode = 500;
+    return error;
+  }
+
+  /**
+   * Update performance metrics
+   * @private
+   */
+  _updatePerformanceMetrics(success, processingTime) {
+    if (success) {
+      this.performanceMetrics.successfulRequests++;
+    } else {
+      this.performanceMetrics.failedRequests++;
+    }
+
+    // Calculate moving average for response time
+    const totalRequests = this.performanceMetrics.totalRequests;
+    const currentAverage = this.performanceMetrics.averageResponseTime;
+
+    this.performanceMetrics.averageResponseTime =
+      ((currentAverage * (totalRequests - 1)) + processingTime) / totalRequests;
+  }
+
+  /**
+   * Add a response's token usage to the per-model counters
+   * @private
+   */
+  _recordTokenUsage(model, usage) {
+    const key = model || 'unknown';
+    const counters = this.performanceMetrics.tokenUsageByModel[key] || {
+      responses: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0
+    };
+
+    counters.responses++;
+    counters.prompt_tokens += usage.prompt_tokens;
+    counters.completion_tokens += usage.completion_tokens;
+    counters.total_tokens += usage.total_tokens;
+
+    this.performanceMetrics.tokenUsageByModel[key] = counters;
+  }
+
+  /**
+   * Get performance metrics
+   * @returns {Object} Performance statistics
+   */
+  getPerformanceMetrics() {
+    const tokenUsageByModel = Object.fromEntries(
+      Object.entries(this.performanceMetrics.tokenUsageByModel)
+        .map(([model, counters]) => [model, { ...counters }])
+    );
+
+    return {
+      ...this.performanceMetrics,
+      tokenUsageByModel,
+      successRate: this.performanceMetrics.totalRequests > 0
+        ? (this.performanceMetrics.successfulRequests / this.performanceMetrics.totalRequests) * 100
+        : 0,
+      failureRate: this.performanceMetrics.totalRequests > 0
+        ? (this.performanceMetrics.failedRequests / this.performanceMetrics.totalRequests) * 100
+        : 0
+    };
+  }
+
+  /**
+   * Health check for the transformer with detailed status
+   * @returns {Promise<Object>} Health status object
+   */
+  async healthCheck() {
+    const metrics = this.getPerformanceMetrics();
+    const circuitBreakers = this._getCircuitBreakerStatuses();
+    const openCircuits = circuitBreakers.filter(status => status.state !== 'closed');
+    const healthy = metrics.failureRate < 10 && openCircuits.length === 0; // Less than 10% failure rate
+
+    return {
+      healthy,
+      status: healthy ? 'HEALTHY' : 'DEGRADED',
+      metrics,
+      circuitBreakers,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Copy the constructor options with API keys masked
+   * @private
+   */
+  _getExportableOptions() {
+    return this._maskApiKeyFields(this.options);
+  }
+
+  /**
+   * Copy an options or provider object with its apiKey/api_key lists masked
+   * @private
+   */
+  _maskApiKeyFields(source) {
+    const masked = { ...source };
+
+    for (const field of ['apiKey', 'api_key']) {
+      if (masked[field]) {
+        masked[field] = String(masked[field])
+          .split(',')
+          .map(key => this._maskApiKey(key.trim()))
+          .join(',');
+      }
+    }
+
+    return masked;
+  }
+
+  /**
+   * List the status of every model's circuit breaker
+   * @private
+   */
+  _getCircuitBreakerStatuses() {
+    this._expireCircuitBreakerAdmissions();
+    return Array.from(this.circuitBreakers.values()).map(breaker => breaker.getStatus());
+  }
+
+  /**
+   * Reset performance metrics
+   */
+  resetMetrics() {
+    this.performanceMetrics = {
+      totalRequests: 0,
+      successfulRequests: 0,
+      failedRequests: 0,
+      averageResponseTime: 0,
+      toolArgumentRepairs: 0,
+      toolArgumentRepairFailures: 0,
+      firstByteTimeouts: 0,
+      streamIdleTimeouts: 0,
+      tokenUsageByModel: {}
+    };
+  }
+
+  /**
+   * Get transformer metadata with advanced features
+   * @returns {Object} Transformer information
+   */
+  getInfo() {
+    return {
+      name: 'mistral-transformer',
+      version: '1.2.0',
+      description: 'Mistral API transformer for Claude Code Router with comprehensive advanced features support',
+      supportedModels: ['devstral-latest', 'mistral-large-latest', 'magistral-medium-latest', 'magistral-small-latest'],
+      features: [
+        'tools', 'streaming', 'parameters', 'sse-parsing', 'incremental-content',
+        'safe_prompt', 'random_seed', 'response_format', 'advanced-error-handling',
+        'performance-monitoring', 'structured-logging', 'circuit-breaker', 'retry-policy',
+        'api-key-rotation', 'vision', 'reasoning', 'anthropic-messages-output'
+      ],
+      advancedParameters: [
+        'safe_prompt', 'random_seed', 'response_format', 'tool_choice', 'parallel_tool_calls',
+        'frequency_penalty', 'presence_penalty', 'temperature', 'top_p', 'max_tokens'
+      ],
+      configuration: this.getConfiguration(),
+      performance: this.getPerformanceMetrics()
+    };
+  }
+
+  /**
+   * Validate transformer is properly configured
+   * @returns {Promise<Object>} Validation result
+   */
+  async validate() {
+    const validationResults = [];
+
+    // Validate configuration
+    if (this.maxTokens > 32000) {
+      validationResults.push({ type: 'WARNING', message: 'maxTokens exceeds recommended limit' });
+    }
+
+    if (this.temperature < 0 || this.temperature > 2) {
+      validationResults.push({ type: 'ERROR', message: 'temperature must be between 0 and 2' });
+    }
+
+    if (this.topP < 0 || this.topP > 1) {
+      validationResults.push({ type: 'ERROR', message: 'topP must be between 0 and 1' });
+    }
+
+    // Validate performance metrics
+    const metrics = this.getPerformanceMetrics();
+    if (metrics.failureRate > 10) {
+      validationResults.push({ type: 'WARNING', message: 'High failure rate detected' });
+    }
+
+    return {
+      valid: validationResults.every(result => result.type !== 'ERROR'),
+      validationResults,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Export transformer state for debugging
+   * @returns {Object} Complete transformer state
+   */
+  exportState() {
+    return {
+      configuration: this.getConfiguration(),
+      performance: this.getPerformanceMetrics(),
+      options: this._getExportableOptions(),
+      circuitBreakers: this._getCircuitBreakerStatuses(),
+      toolIdMapper: this.toolIdMapper.getStatus(),
+      benchedApiKeys: Array.from(this.benchedApiKeys.entries()).map(([key, until]) => ({
+        apiKey: this._maskApiKey(key),
+        until: new Date(until).toISOString()
+      })),
+      timestamp: new Date().toISOString(),
+      transformerVersion: '1.2.0'
+    };
+  }
+}
\ No newline at end of file
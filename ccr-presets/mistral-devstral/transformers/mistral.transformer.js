@@ -0,0 +1,7 @@
+// ESM entry point for the Mistral transformer
+// Re-exports the CommonJS implementation in mistral.cjs so both formats share one source
+
+import MistralTransformer from './mistral.cjs';
+
+export default MistralTransformer;
+export { MistralTransformer };
@@ -61,7 +61,7 @@ async function test422Resolution() {
     console.log(`=== ${testCase.name} ===`);
 
     try {
-      const result = transformer.transformRequestIn(testCase.request, mockProvider, {});
+      const result = await transformer.transformRequestIn(testCase.request, mockProvider, {});
 
       if (testCase.shouldFail) {
         console.error(`✗ Expected failure but transformation succeeded`);
@@ -126,7 +126,7 @@ async function test422Resolution() {
     console.log(`Testing: ${testCase.name}`);
 
     try {
-      const result = transformer.transformRequestIn(testCase.request, mockProvider, {});
+      const result = await transformer.transformRequestIn(testCase.request, mockProvider, {});
 
       if (testCase.request.messages && testCase.request.messages.length === 0) {
         console.error('✗ Empty messages array should have been rejected');
@@ -185,7 +185,7 @@ async function test422Resolution() {
     console.log(`Testing response: ${testCase.name}`);
 
     try {
-      const result = transformer.transformResponseIn(testCase.response, {});
+      const result = await transformer.transformResponseIn(testCase.response, {});
       console.log('✓ Response transformation successful');
 
       // Check that content is properly handled
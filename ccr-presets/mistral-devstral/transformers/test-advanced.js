@@ -34,7 +34,7 @@ async function testAdvancedFeatures() {
     ]
   };
 
-  const mistralToolRequest = transformer.transformRequestIn(toolRequest, {
+  const mistralToolRequest = await transformer.transformRequestIn(toolRequest, {
     name: 'mistral',
     models: ['devstral-latest']
   }, {});
@@ -75,7 +75,7 @@ async function testAdvancedFeatures() {
     }
   };
 
-  const unifiedToolResponse = transformer.transformResponseIn(toolResponse, {});
+  const unifiedToolResponse = await transformer.transformResponseIn(toolResponse, {});
   console.log('Tool response transformed successfully');
 
   // Test tool result message transformation
@@ -104,7 +104,7 @@ async function testAdvancedFeatures() {
     ]
   };
 
-  const mistralToolResultRequest = transformer.transformRequestIn(toolResultRequest, {
+  const mistralToolResultRequest = await transformer.transformRequestIn(toolResultRequest, {
     name: 'mistral',
     models: ['devstral-latest']
   }, {});
@@ -120,7 +120,7 @@ async function testAdvancedFeatures() {
     stream: true
   };
 
-  const mistralStreamingRequest = transformer.transformRequestIn(streamingRequest, {
+  const mistralStreamingRequest = await transformer.transformRequestIn(streamingRequest, {
     name: 'mistral',
     models: ['devstral-latest']
   }, {});
@@ -140,7 +140,7 @@ async function testAdvancedFeatures() {
     ]
   };
 
-  const mistralRoleRequest = transformer.transformRequestIn(multiRoleRequest, {
+  const mistralRoleRequest = await transformer.transformRequestIn(multiRoleRequest, {
     name: 'mistral',
     models: ['mistral-large-latest']
   }, {});
@@ -31,7 +31,7 @@ async function testTransformer() {
     temperature: 0.8
   };
 
-  const mistralRequest = transformer.transformRequestIn(testRequest, {
+  const mistralRequest = await transformer.transformRequestIn(testRequest, {
     name: 'mistral',
     models: ['devstral-latest']
   }, {});
@@ -62,7 +62,7 @@ async function testTransformer() {
     }
   };
 
-  const unifiedResponse = transformer.transformResponseIn(testResponse, {});
+  const unifiedResponse = await transformer.transformResponseIn(testResponse, {});
   console.log('✓ Response transformation successful');
   console.log('Transformed response:', JSON.stringify(unifiedResponse, null, 2));
 
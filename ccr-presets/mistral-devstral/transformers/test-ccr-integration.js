@@ -55,7 +55,7 @@ async function testCCRIntegration() {
   };
 
   try {
-    const mistralRequest = transformer.transformRequestIn(ccrRequest, ccrProvider, {});
+    const mistralRequest = await transformer.transformRequestIn(ccrRequest, ccrProvider, {});
     console.log('✓ CCR request transformation successful');
     console.log('  Model:', mistralRequest.model);
     console.log('  Messages count:', mistralRequest.messages.length);
@@ -90,7 +90,7 @@ async function testCCRIntegration() {
   };
 
   try {
-    const ccrResponse = transformer.transformResponseIn(mistralResponse, {});
+    const ccrResponse = await transformer.transformResponseIn(mistralResponse, {});
     console.log('✓ CCR response transformation successful');
     console.log('  Response ID:', ccrResponse.id);
     console.log('  Model:', ccrResponse.model);
@@ -111,7 +111,7 @@ async function testCCRIntegration() {
   };
 
   try {
-    const ccrErrorResponse = transformer.transformResponseIn(errorResponse, {});
+    const ccrErrorResponse = await transformer.transformResponseIn(errorResponse, {});
     console.log('✓ CCR error transformation successful');
     console.log('  Error message:', ccrErrorResponse.error?.message);
     console.log('  Error code:', ccrErrorResponse.error?.code);
@@ -129,7 +129,7 @@ async function testCCRIntegration() {
   };
 
   try {
-    const mistralAdvancedRequest = transformer.transformRequestIn(advancedRequest, ccrProvider, {});
+    const mistralAdvancedRequest = await transformer.transformRequestIn(advancedRequest, ccrProvider, {});
     console.log('✓ CCR advanced features transformation successful');
     console.log('  Safe prompt:', mistralAdvancedRequest.safe_prompt);
     console.log('  Response format:', mistralAdvancedRequest.response_format);
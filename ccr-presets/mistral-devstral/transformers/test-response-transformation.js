@@ -31,7 +31,7 @@ async function testResponseTransformation() {
   };
 
   try {
-    const unifiedResponse = transformer.transformResponseIn(standardResponse, {});
+    const unifiedResponse = await transformer.transformResponseIn(standardResponse, {});
     console.log('✓ Standard response transformation successful');
     console.log('Response ID:', unifiedResponse.id);
     console.log('Model:', unifiedResponse.model);
@@ -75,7 +75,7 @@ async function testResponseTransformation() {
   };
 
   try {
-    const unifiedResponse = transformer.transformResponseIn(toolResponse, {});
+    const unifiedResponse = await transformer.transformResponseIn(toolResponse, {});
     console.log('✓ Tool response transformation successful');
     console.log('Has tool calls:', unifiedResponse.choices[0].message.tool_calls?.length > 0);
     console.log('Finish reason:', unifiedResponse.choices[0].finish_reason);
@@ -95,7 +95,7 @@ async function testResponseTransformation() {
   };
 
   try {
-    const unifiedResponse = transformer.transformResponseIn(errorResponse, {});
+    const unifiedResponse = await transformer.transformResponseIn(errorResponse, {});
     console.log('✓ Error response transformation successful');
     console.log('Error code:', unifiedResponse.error?.code);
     console.log('Error message:', unifiedResponse.error?.message);
@@ -114,7 +114,7 @@ async function testResponseTransformation() {
   };
 
   try {
-    const unifiedResponse = transformer.transformResponseIn(emptyChoicesResponse, {});
+    const unifiedResponse = await transformer.transformResponseIn(emptyChoicesResponse, {});
     console.log('✓ Empty choices handled successfully');
     console.log('Choices count:', unifiedResponse.choices.length);
   } catch (error) {
@@ -135,7 +135,7 @@ async function testResponseTransformation() {
   };
 
   try {
-    const unifiedResponse = transformer.transformResponseIn(minimalResponse, {});
+    const unifiedResponse = await transformer.transformResponseIn(minimalResponse, {});
     console.log('✓ Minimal response transformation successful');
     console.log('Generated ID:', unifiedResponse.id);
     console.log('Default model:', unifiedResponse.model);
@@ -171,7 +171,7 @@ async function testResponseTransformation() {
 
   for (const test of invalidResponses) {
     try {
-      transformer.transformResponseIn(test.response, {});
+      await transformer.transformResponseIn(test.response, {});
       console.error(`✗ "${test.name}" should have failed but didn't`);
     } catch (error) {
       if (error.message.includes(test.expectedError)) {
@@ -243,7 +243,7 @@ async function testResponseTransformation() {
 
   for (const test of edgeCases) {
     try {
-      const unifiedResponse = transformer.transformResponseIn(test.response, {});
+      const unifiedResponse = await transformer.transformResponseIn(test.response, {});
       console.log(`✓ "${test.name}" handled successfully`);
       console.log('  Content:', unifiedResponse.choices[0].message.content);
       if (test.response.usage) {
@@ -292,7 +292,7 @@ async function testResponseTransformation() {
 
   for (const test of httpErrorResponses) {
     try {
-      const unifiedResponse = transformer.transformResponseIn(test.response, {});
+      const unifiedResponse = await transformer.transformResponseIn(test.response, {});
       console.log(`✓ "${test.name}" transformed successfully`);
       console.log('  Error object:', unifiedResponse.error);
       console.log('  Response type:', unifiedResponse.object);
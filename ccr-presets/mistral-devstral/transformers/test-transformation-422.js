@@ -21,7 +21,7 @@ async function test422ErrorPrevention() {
       temperature: 0.8
     };
 
-    const mistralRequest = transformer.transformRequestIn(validRequest, {
+    const mistralRequest = await transformer.transformRequestIn(validRequest, {
       name: 'mistral',
       models: ['devstral-latest']
     }, {});
@@ -48,7 +48,7 @@ async function test422ErrorPrevention() {
       user: 'test-user'
     };
 
-    const mistralRequest = transformer.transformRequestIn(unsupportedRequest, {
+    const mistralRequest = await transformer.transformRequestIn(unsupportedRequest, {
       name: 'mistral',
       models: ['devstral-latest']
     }, {});
@@ -86,7 +86,7 @@ async function test422ErrorPrevention() {
       ]
     };
 
-    const mistralRequest = transformer.transformRequestIn(toolRequest, {
+    const mistralRequest = await transformer.transformRequestIn(toolRequest, {
       name: 'mistral',
       models: ['devstral-latest']
     }, {});
@@ -130,7 +130,7 @@ async function test422ErrorPrevention() {
 
   for (const test of invalidRequests) {
     try {
-      transformer.transformRequestIn(test.request, {
+      await transformer.transformRequestIn(test.request, {
         name: 'mistral',
         models: ['devstral-latest']
       }, {});
@@ -173,7 +173,7 @@ async function test422ErrorPrevention() {
 
   for (const test of edgeCases) {
     try {
-      const result = transformer.transformRequestIn(test.request, {
+      const result = await transformer.transformRequestIn(test.request, {
         name: 'mistral',
         models: ['devstral-latest']
       }, {});
@@ -211,7 +211,7 @@ async function test422ErrorPrevention() {
       ]
     };
 
-    const mistralRequest = transformer.transformRequestIn(toolCallMessageRequest, {
+    const mistralRequest = await transformer.transformRequestIn(toolCallMessageRequest, {
       name: 'mistral',
       models: ['devstral-latest']
     }, {});